@@ -0,0 +1,234 @@
+// Type declarations for the library entry point (index.js)
+
+// The default band names; configured colorBands and successBands may use others
+export type ScoreLabel = 'Green' | 'Yellow' | 'Red' | (string & {});
+export type ScoreSuccess = 'success' | 'almost-success' | 'partial' | 'almost-failure' | 'failure' | 'unknown' | (string & {});
+export type ReviewStatus = 'current' | 'due-soon' | 'expired';
+export type Severity = 'error' | 'warn' | 'off';
+
+/** Nested partial, for config overrides such as { rounding: { decimals: 1 } } */
+export type DeepPartial<T> = T extends Array<infer U>
+  ? Array<U>
+  : T extends object
+    ? { [K in keyof T]?: DeepPartial<T[K]> }
+    : T;
+
+export interface Logger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface EntityRef {
+  kind: string;
+  name: string;
+  namespace?: string;
+}
+
+export interface Band {
+  min: number;
+  max: number;
+}
+
+/** An approving reviewer, as written to scoringReviewer */
+export interface ReviewerRecord {
+  name: string;
+  login?: string;
+  role?: string | null;
+  areas?: string[];
+  approvedAt?: string;
+}
+
+export type ScoringReviewer = string | ReviewerRecord | ReviewerRecord[] | null;
+
+export interface ScoringConfig {
+  successBands: Record<string, Band>;
+  colorBands: Record<string, Band>;
+  rounding: { method: 'round' | 'floor' | 'ceil'; decimals: number };
+  aggregation: 'mean' | 'weighted' | 'minimum';
+  coverage: { unknownEntries: 'exclude' | 'zero' };
+  review: { largeJumpThreshold: number };
+  reviewExpiry: {
+    months: { default: number; [kind: string]: number };
+    dueSoonDays: number;
+    penalty: 'none' | 'decay' | 'cap';
+    decayPointsPerMonth: number;
+    cap: number;
+  };
+  rubric: { conformance: Severity };
+  actionItems: { ownerPattern: string; overdue: Severity };
+  calibration: { biasThreshold: number };
+  rollups: {
+    kinds: Array<'system' | 'domain' | 'group'>;
+    criticalityWeights: Record<string, number>;
+    defaultCriticality: string;
+  };
+  signOff: {
+    reviewers: Record<string, { name?: string; role: string; areas?: string[] }>;
+    quorum: { default: { approvals: number; roles?: string[] }; [area: string]: { approvals: number; roles?: string[] } };
+  };
+}
+
+/** Contents of an entity-scores/*.json file, see entity-score-schema.json */
+export interface EntityScoreData {
+  entityRef: EntityRef;
+  generatedDateTimeUtc: string;
+  areaScores: Array<{
+    id: number;
+    title: string;
+    weight?: number;
+    scoreEntries: Array<{
+      id: number;
+      title: string;
+      weight?: number;
+      isOptional?: boolean;
+      scorePercent?: number | null;
+      selfScorePercent?: number | null;
+      scoreSuccess: ScoreSuccess;
+      details: string;
+      [field: string]: unknown;
+    }>;
+    [field: string]: unknown;
+  }>;
+  catalogMetadata?: { owner?: string; system?: string; domain?: string; tags?: string[]; criticality?: string };
+  scoringReviewer?: ScoringReviewer;
+  scoringReviewDate?: string | null;
+  [field: string]: unknown;
+}
+
+export interface AreaScore {
+  id: number;
+  title: string;
+  scorePercent: number;
+  scoreLabel: ScoreLabel;
+  scoreSuccess: ScoreSuccess;
+  coveragePercent: number | null;
+}
+
+/** One entry of all.json */
+export interface EntityScore {
+  entityRef: EntityRef;
+  generatedDateTimeUtc: string;
+  scorePercent: number;
+  scoreLabel: ScoreLabel;
+  scoreSuccess: ScoreSuccess;
+  coveragePercent: number | null;
+  scoringReviewer: ScoringReviewer;
+  scoringReviewDate: string;
+  areaScores: AreaScore[];
+  reviewStatus?: ReviewStatus;
+  reviewDueDate?: string | null;
+  /** The agreed score when an expiry penalty lowered scorePercent */
+  reviewedScore?: { scorePercent: number; scoreLabel: ScoreLabel; scoreSuccess: ScoreSuccess };
+}
+
+/** A system, domain or group entry of all.json */
+export interface RollupScore extends EntityScore {
+  rollup: {
+    contributors: Array<{
+      entityRef: EntityRef;
+      scorePercent: number;
+      coveragePercent: number | null;
+      criticality: string;
+      weight: number;
+    }>;
+  };
+}
+
+export interface Issue {
+  /** The name passed to validate, if any */
+  file: string | null;
+  /** JSON pointer to the offending value */
+  path: string;
+  rule?: string;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: Issue[];
+  warnings: Issue[];
+}
+
+export interface AggregateResult {
+  scores: EntityScore[];
+  rollups: RollupScore[];
+  errors: Array<{ index: number; entityRef: EntityRef | null; message: string }>;
+}
+
+export interface ScorecardOptions {
+  /** Full or partial scoring policy, merged with the defaults */
+  config?: DeepPartial<ScoringConfig>;
+  /** Scoring policy file; scorecard.config.json in the working directory is not read */
+  configFile?: string;
+  registryFile?: string;
+  /** Rule severities and options, as in .scorecardrc.json; built-in defaults otherwise */
+  ruleConfig?: { rules: Record<string, Severity | [Severity, Record<string, unknown>]>; rulesDir: string | null };
+  rcFile?: string;
+  /** Directory of catalog-info.yaml files or a JSON catalog export, for entityRef checks and rollup ownership */
+  catalogSource?: string;
+  /** Date action item deadlines and review expiry are checked against, YYYY-MM-DD */
+  today?: string;
+  /** Set to false to leave out system, domain and group rollups */
+  rollups?: boolean;
+  /** Silent unless given */
+  logger?: Logger;
+}
+
+export interface Scorecard {
+  config: ScoringConfig;
+  validate(data: unknown, name?: string | null): ValidationResult;
+  calculate(data: EntityScoreData): EntityScore;
+  aggregate(entityDataList: EntityScoreData[]): AggregateResult;
+}
+
+export function createScorecard(options?: ScorecardOptions): Scorecard;
+export function validateScore(data: unknown, options?: ScorecardOptions & { name?: string }): ValidationResult;
+export function calculateScore(data: EntityScoreData, options?: ScorecardOptions): EntityScore;
+export function aggregateScores(entityDataList: EntityScoreData[], options?: ScorecardOptions): AggregateResult;
+export function mergeScoringConfig(overrides?: DeepPartial<ScoringConfig>): ScoringConfig;
+
+export const DEFAULT_SCORING_CONFIG: ScoringConfig;
+export const silentLogger: Logger;
+
+export const scoring: {
+  getStructureError(data: unknown): { path: string; message: string } | null;
+  resolveWeights(items: Array<{ weight?: number }>, config?: ScoringConfig): number[];
+  isScoredEntry(entry: { scorePercent?: number | null; scoreSuccess?: string; isOptional?: boolean }): boolean;
+  calculateAreaScore(area: { scoreEntries?: unknown[] }, config?: ScoringConfig): {
+    scorePercent: number | null;
+    coveragePercent: number | null;
+    scoredEntries: number;
+    unknownEntries: number;
+  };
+  calculateOverallScore(areaScores: Array<{ scorePercent: number | null; coveragePercent?: number | null; weight?: number }>, config?: ScoringConfig): {
+    scorePercent: number | null;
+    coveragePercent: number | null;
+  };
+  roundScore(percent: number, config?: ScoringConfig): number;
+  getScoreLabel(percent: number, config?: ScoringConfig): string | null;
+  getScoreSuccess(percent: number, config?: ScoringConfig): string | null;
+  getScoreFields(percent: number | null, config?: ScoringConfig): { scorePercent: number; scoreLabel: string; scoreSuccess: string };
+};
+
+/** The classes behind the npm scripts; they log to the console unless given a logger */
+export class ScoreValidator {
+  constructor(options?: ScorecardOptions & {
+    format?: 'text' | 'json' | 'sarif' | 'github';
+    schemaFile?: string;
+    templateFile?: string;
+    /** PR base commit: validateFile then fails on overdue action items the PR adds or changes */
+    baseRef?: string;
+  });
+  errors: Issue[];
+  warnings: Issue[];
+  validateFile(filePath: string): boolean;
+  validateData(data: unknown, name?: string | null): ValidationResult;
+}
+
+export class ScoreCalculator {
+  constructor(options?: ScorecardOptions & { entityScoresDir?: string; outputFile?: string; check?: boolean; [option: string]: unknown });
+  calculateAllScores(): Promise<{ scores: EntityScore[]; rollups: RollupScore[]; errors: string[]; totalEntities: number; staleFiles: string[] }>;
+  calculateScores(entityDataList: EntityScoreData[]): AggregateResult;
+  processEntityData(data: EntityScoreData): EntityScore;
+}
@@ -0,0 +1,97 @@
+/**
+ * Library entry point
+ * Validates and scores entity score objects in memory, for callers such as a Backstage
+ * backend plugin that would otherwise shell out to the scripts. Nothing is read from the
+ * working directory, nothing is written and nothing is logged unless a logger is given.
+ * Usage: const { createScorecard } = require('backstage-self-review-process');
+ */
+
+const scoring = require('./scripts/scoring');
+const { DEFAULT_SCORING_CONFIG, loadScoringConfig, mergeScoringConfig } = require('./scripts/scoring-config');
+const { ScoreCalculator } = require('./scripts/calculate-scores');
+const { ScoreValidator } = require('./scripts/validate-scores');
+const { TemplateRegistry } = require('./scripts/rubric');
+const { loadRuleConfig } = require('./scripts/lint-rules');
+const { CatalogIndex } = require('./scripts/catalog');
+
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Policy from options.config (a full or partial scoring config), options.configFile,
+ * or the built-in defaults. Unlike the scripts, scorecard.config.json in the working
+ * directory is not picked up.
+ */
+function resolveConfig(options) {
+  if (options.config) {
+    return mergeScoringConfig(options.config);
+  }
+  return options.configFile ? loadScoringConfig(options.configFile) : mergeScoringConfig();
+}
+
+/**
+ * Create a validator and calculator sharing one policy, registry and rule set, so
+ * repeated calls do not load them again.
+ *
+ * options: config, configFile, registryFile, ruleConfig ({ rules, rulesDir }), rcFile,
+ * catalog or catalogSource, today (YYYY-MM-DD), rollups and logger
+ */
+function createScorecard(options = {}) {
+  const logger = options.logger || silentLogger;
+  const config = resolveConfig(options);
+  const registry = options.registry || TemplateRegistry.load(options.registryFile);
+  const ruleConfig = options.ruleConfig || (options.rcFile ? loadRuleConfig(options.rcFile) : { rules: {}, rulesDir: null });
+  const catalog = options.catalog || (options.catalogSource ? CatalogIndex.load(options.catalogSource) : null);
+
+  // Validation never syncs catalog metadata back into files
+  const shared = { ...options, config, registry, catalog, logger, syncCatalog: false };
+  const calculator = new ScoreCalculator({ ...shared, recordHistory: false, publish: false, calibration: false });
+
+  return {
+    config,
+
+    // { valid, errors, warnings }; each finding has a JSON pointer path, a rule and a message
+    validate(data, name = null) {
+      return new ScoreValidator({ ...shared, ruleConfig }).validateData(data, name);
+    },
+
+    // The all.json entry of one entity; throws when the object has no entityRef or areaScores,
+    // or an area or entry that is not an object
+    calculate(data) {
+      return calculator.applyReviewExpiry(calculator.processEntityData(data), data);
+    },
+
+    // { scores, rollups, errors } for a list of entity objects
+    aggregate(entityDataList) {
+      return calculator.calculateScores(entityDataList);
+    }
+  };
+}
+
+function validateScore(data, options = {}) {
+  return createScorecard(options).validate(data, options.name);
+}
+
+function calculateScore(data, options = {}) {
+  return createScorecard(options).calculate(data);
+}
+
+function aggregateScores(entityDataList, options = {}) {
+  return createScorecard(options).aggregate(entityDataList);
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  ScoreCalculator,
+  ScoreValidator,
+  aggregateScores,
+  calculateScore,
+  createScorecard,
+  mergeScoringConfig,
+  scoring,
+  silentLogger,
+  validateScore
+};
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Action item tracking
+ * Checks the action items agreed in review meetings and lists open and overdue
+ * items across all entity files, grouped by owner and entity
+ * Usage: node action-items.js [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getToday, isValidDate } = require('./dates');
+
+function getStatus(item) {
+  return item.status || 'open';
+}
+
+function isOverdue(item, today = getToday()) {
+  return getStatus(item) === 'open' && isValidDate(item.deadline) && item.deadline < today;
+}
+
+/**
+ * Check the action items of an entity file.
+ * Each finding has a severity (error or warn), a JSON pointer and a message.
+ *
+ * Deadlines only pass the submitted items by: actionItems.overdue applies to items a PR
+ * adds or changes, i.e. those missing from baseItems (the items at the PR base, [] for a
+ * new file). Without baseItems, and for items the PR leaves alone, overdue is a warning,
+ * so files do not turn invalid just because time passes.
+ */
+function checkActionItems(data, config, today = getToday(), baseItems = null) {
+  const findings = [];
+  const items = data && Array.isArray(data.actionItems) ? data.actionItems : [];
+  const ownerPattern = new RegExp(config.actionItems.ownerPattern);
+  const add = (severity, pointer, message) => findings.push({ severity, path: pointer, message });
+  const baseKeys = new Set((Array.isArray(baseItems) ? baseItems : []).map(item => JSON.stringify(item)));
+  const isSubmitted = item => Array.isArray(baseItems) && !baseKeys.has(JSON.stringify(item));
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') return;
+    const pointer = `/actionItems/${index}`;
+    const status = getStatus(item);
+
+    if (typeof item.owner === 'string' && !ownerPattern.test(item.owner)) {
+      add('error', `${pointer}/owner`, `Owner "${item.owner}" must be a GitHub @handle, an email address or a user:/group: reference`);
+    }
+
+    // Date formats are enforced by the schema, malformed dates are skipped here
+    if (item.completedDate === undefined) {
+      if (status === 'done') {
+        add('error', `${pointer}/completedDate`, 'Done items need a completion date');
+      }
+    } else if (isValidDate(item.completedDate)) {
+      if (item.completedDate > today) {
+        add('error', `${pointer}/completedDate`, `Completion date ${item.completedDate} is in the future`);
+      } else if (status === 'open') {
+        add('warn', `${pointer}/completedDate`, 'Completion date is set but the item is still open');
+      }
+    }
+
+    if (config.actionItems.overdue !== 'off' && isOverdue(item, today)) {
+      add(isSubmitted(item) ? config.actionItems.overdue : 'warn', `${pointer}/deadline`,
+        `Open action item is past its deadline (${item.deadline}). Move the deadline or mark it done or dropped`);
+    }
+  });
+
+  return findings;
+}
+
+class ActionItemReporter {
+  constructor(options = {}) {
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.owner = options.owner || null;
+    this.overdueOnly = options.overdueOnly || false;
+    this.today = options.today || getToday();
+    this.format = options.format || 'text';
+  }
+
+  collectItems() {
+    if (!fs.existsSync(this.entityScoresDir)) {
+      throw new Error(`Entity scores directory not found: ${this.entityScoresDir}`);
+    }
+
+    const entities = [];
+    fs.readdirSync(this.entityScoresDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(this.entityScoresDir, file);
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          console.warn(`⚠️  Skipping ${filePath}: ${error.message}`);
+          return;
+        }
+
+        const entity = data.entityRef && data.entityRef.name ? data.entityRef.name : path.basename(file, '.json');
+        const items = (Array.isArray(data.actionItems) ? data.actionItems : []).map(item => ({
+          entity,
+          description: item.description,
+          owner: item.owner,
+          deadline: item.deadline,
+          status: getStatus(item),
+          completedDate: item.completedDate || null,
+          overdue: isOverdue(item, this.today)
+        }));
+
+        entities.push({ entity, file: filePath, items });
+      });
+
+    return entities;
+  }
+
+  getCompletion(items) {
+    const count = status => items.filter(item => item.status === status).length;
+    const done = count('done');
+    const dropped = count('dropped');
+    const committed = items.length - dropped;
+
+    return {
+      total: items.length,
+      open: count('open'),
+      overdue: items.filter(item => item.overdue).length,
+      done,
+      dropped,
+      // Dropped items no longer count as commitments
+      completionRate: committed > 0 ? Math.round((done / committed) * 100) : null
+    };
+  }
+
+  buildReport() {
+    const entities = this.collectItems();
+    const openItems = entities
+      .flatMap(({ items }) => items)
+      .filter(item => item.status === 'open')
+      .filter(item => !this.owner || item.owner === this.owner)
+      .filter(item => !this.overdueOnly || item.overdue)
+      .sort((a, b) => String(a.deadline).localeCompare(String(b.deadline)));
+
+    const byOwner = {};
+    openItems.forEach(item => {
+      const owner = item.owner || '(unassigned)';
+      byOwner[owner] = byOwner[owner] || {};
+      byOwner[owner][item.entity] = byOwner[owner][item.entity] || [];
+      byOwner[owner][item.entity].push(item);
+    });
+
+    return {
+      today: this.today,
+      openCount: openItems.length,
+      overdueCount: openItems.filter(item => item.overdue).length,
+      byOwner,
+      entities: entities
+        .filter(({ items }) => items.length > 0)
+        .map(({ entity, items }) => ({ entity, ...this.getCompletion(items) }))
+    };
+  }
+
+  printReport() {
+    const report = this.buildReport();
+
+    if (this.format === 'json') {
+      console.log(JSON.stringify(report, null, 2));
+      return report;
+    }
+
+    console.log(`📋 Action items as of ${report.today}: ${report.openCount} open, ${report.overdueCount} overdue`);
+
+    Object.keys(report.byOwner).sort().forEach(owner => {
+      console.log(`\n👤 ${owner}`);
+      Object.entries(report.byOwner[owner]).forEach(([entity, items]) => {
+        console.log(`   ${entity}`);
+        items.forEach(item => {
+          const marker = item.overdue ? '⏰ OVERDUE' : '🔜';
+          console.log(`      ${marker} ${item.deadline}  ${item.description}`);
+        });
+      });
+    });
+
+    if (report.entities.length > 0) {
+      console.log('\n📈 Completion by entity:');
+      report.entities.forEach(stats => {
+        const rate = stats.completionRate === null ? 'n/a' : `${stats.completionRate}%`;
+        console.log(`   ${stats.entity}: ${rate} (${stats.done} done, ${stats.open} open, ${stats.overdue} overdue, ${stats.dropped} dropped)`);
+      });
+    } else {
+      console.log('\nNo action items recorded yet.');
+    }
+
+    return report;
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--owner':
+        options.owner = args[++i];
+        break;
+      case '--overdue':
+        options.overdueOnly = true;
+        break;
+      case '--today':
+        options.today = args[++i];
+        break;
+      case '--json':
+        options.format = 'json';
+        break;
+      case '--help':
+        console.log(`
+Usage: node action-items.js [options]
+
+Options:
+  --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
+  --owner <owner>              Only list items for this owner
+  --overdue                    Only list items past their deadline
+  --today <YYYY-MM-DD>         Date to check deadlines against (default: today, UTC)
+  --json                       Print the report as JSON
+  --help                       Show this help message
+
+Examples:
+  node action-items.js
+  node action-items.js --owner @jane-doe --overdue
+        `);
+        process.exit(0);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  if (options.today && !isValidDate(options.today)) {
+    console.error(`❌ --today must be a YYYY-MM-DD date, got ${options.today}`);
+    process.exit(1);
+  }
+
+  try {
+    new ActionItemReporter(options).printReport();
+  } catch (error) {
+    console.error('❌ Action item report failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ActionItemReporter,
+  checkActionItems,
+  getStatus,
+  isOverdue
+};
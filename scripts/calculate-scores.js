@@ -8,83 +8,250 @@
 
 const fs = require('fs');
 const path = require('path');
-
-// Score success mapping based on percentage
-const SCORE_SUCCESS_MAPPING = {
-  success: { min: 80, max: 100 },
-  'almost-success': { min: 70, max: 79 },
-  partial: { min: 50, max: 69 },
-  'almost-failure': { min: 30, max: 49 },
-  failure: { min: 0, max: 29 }
-};
-
-// Color mapping based on percentage
-const COLOR_MAPPING = {
-  Green: { min: 70, max: 100 },
-  Yellow: { min: 30, max: 69 },
-  Red: { min: 0, max: 29 }
-};
+const crypto = require('crypto');
+const scoring = require('./scoring');
+const { loadScoringConfig, mergeScoringConfig } = require('./scoring-config');
+const { ScoreHistory, getTrend } = require('./score-history');
+const { buildCalibrationReport } = require('./calibration');
+const { TemplateRegistry, applyRubricDefaults } = require('./rubric');
+const { CatalogIndex, getCatalogMetadata, getEntityRefError } = require('./catalog');
+const { buildRollups } = require('./rollups');
+const { getReviewStatus, applyExpiryPenalty } = require('./stale-assessments');
+const { getToday, isValidDate } = require('./dates');
+
+// Fields a calculation run stamps on a score rather than derives from the entity file
+const STAMPED_FIELDS = ['generatedDateTimeUtc', 'scoringReviewer', 'scoringReviewDate', 'previousScorePercent', 'trend', 'reviewStatus', 'reviewDueDate', 'reviewedScore'];
 
 class ScoreCalculator {
   constructor(options = {}) {
     this.entityScoresDir = options.entityScoresDir || './entity-scores';
     this.outputFile = options.outputFile || './all.json';
     this.verbose = options.verbose || false;
+    // Anything with log, warn and error; the library entry point passes a silent one
+    this.logger = options.logger || console;
     this.reviewer = options.reviewer || null;
     this.updateTimestamp = options.updateTimestamp || false;
+    // A partial config, as the library typings allow, is completed with the defaults
+    this.config = options.config ? mergeScoringConfig(options.config) : loadScoringConfig(options.configFile);
+    this.registry = options.registry || TemplateRegistry.load(options.registryFile);
+    this.recordHistory = options.recordHistory !== false;
+    this.history = new ScoreHistory({ historyDir: options.historyDir });
+    this.publishDir = options.publishDir || './dist';
+    this.publish = options.publish !== false;
+    this.calibrationFile = options.calibrationFile || './reports/calibration.json';
+    this.calibration = options.calibration !== false;
+    // Ownership for rollups comes from the catalog when given, else from each file's catalogMetadata
+    this.catalog = options.catalog || (options.catalogSource ? CatalogIndex.load(options.catalogSource) : null);
+    this.rollups = options.rollups !== false;
+    // Date review expiry is checked against, YYYY-MM-DD
+    this.today = options.today || getToday();
+    this.check = options.check || false;
+    // Entity files whose inputs changed; when unset, changes are detected from the previous all.json
+    this.changedFiles = options.changedFiles ? new Set(options.changedFiles.map(file => path.normalize(file))) : null;
+    this.staleFiles = [];
+    this.reviewedEntities = new Set();
   }
 
   async calculateAllScores() {
-    console.log('🔢 Starting score calculation process...');
+    this.logger.log(`🔢 Starting score calculation process${this.check ? ' (check mode, nothing is written)' : ''}...`);
 
     // Get all entity score files
     const entityFiles = this.getEntityScoreFiles();
-    console.log(`📁 Found ${entityFiles.length} entity score files`);
+    this.logger.log(`📁 Found ${entityFiles.length} entity score files`);
 
     const allScores = [];
     const errors = [];
     const entityFileMap = new Map();
+    const entityDataMap = new Map();
+    const previousScores = this.readPreviousScores();
+    const now = new Date().toISOString();
 
     for (const file of entityFiles) {
       try {
-        const entityScore = this.processEntityFile(file);
+        const data = this.readEntityFile(file);
+        const entityScore = this.processEntityData(data);
         if (entityScore) {
+          // Only entities whose inputs changed get a new timestamp and reviewer
+          if (this.hasInputChanged(file, entityScore, previousScores)) {
+            this.applyReviewUpdate(entityScore, now);
+          }
           allScores.push(entityScore);
           entityFileMap.set(file, entityScore);
+          entityDataMap.set(entityScore, data);
           if (this.verbose) {
-            console.log(`✅ Processed: ${entityScore.entityRef.name} (${entityScore.scorePercent}%)`);
+            this.logger.log(`✅ Processed: ${entityScore.entityRef.name} (${entityScore.scorePercent}%)`);
           }
         }
       } catch (error) {
         errors.push(`Error processing ${file}: ${error.message}`);
-        console.error(`❌ Error processing ${file}:`, error.message);
+        this.logger.error(`❌ Error processing ${file}:`, error.message);
       }
     }
 
     if (errors.length > 0) {
-      console.log(`\\n⚠️  ${errors.length} files had processing errors`);
-      errors.forEach(error => console.log(`  ${error}`));
+      this.logger.log(`\\n⚠️  ${errors.length} files had processing errors`);
+      errors.forEach(error => this.logger.log(`  ${error}`));
     }
 
     // Sort by entity name for consistent output
-    allScores.sort((a, b) => a.entityRef.name.localeCompare(b.entityRef.name));
+    allScores.sort((a, b) => this.compareEntityRefs(a.entityRef, b.entityRef));
 
     // Update individual entity files with calculated scores
-    await this.updateIndividualEntityFiles(entityFileMap);
+    await this.updateIndividualEntityFiles(entityFileMap, entityDataMap);
+
+    // Snapshot scores into the history store and annotate trends
+    if (this.recordHistory) {
+      this.recordScoreHistory(entityDataMap);
+    }
+
+    // Review status and expiry penalties depend on the date, so entity files and history keep the reviewed scores.
+    // Check mode keeps the committed status of unchanged reviews, so the result does not depend on the day it runs
+    for (const [entityScore, data] of entityDataMap.entries()) {
+      this.applyReviewExpiry(entityScore, data, this.check ? previousScores.get(this.getEntityKey(entityScore.entityRef)) : null);
+    }
+
+    // System, domain and team scores derived from the entity scores
+    const rollups = this.rollups ? this.calculateRollups(entityDataMap) : [];
+    const outputScores = [...allScores, ...rollups].sort((a, b) => this.compareEntityRefs(a.entityRef, b.entityRef));
 
     // Write output file
-    await this.writeOutputFile(allScores);
+    await this.writeOutputFile(outputScores);
+
+    // Publish one file per entity for scorecard/jsonDataUrl annotations
+    if (this.publish) {
+      this.publishEntityFiles(outputScores, entityDataMap);
+    }
 
-    console.log(`\\n✅ Score calculation complete! Generated scores for ${allScores.length} entities`);
-    this.printSummaryStats(allScores);
+    // Self scores versus agreed scores; a local report, so check mode skips it
+    if (this.calibration && !this.check) {
+      this.writeCalibrationReport([...entityDataMap.values()]);
+    }
+
+    if (this.check) {
+      this.printCheckResults();
+    } else {
+      this.logger.log(`\\n✅ Score calculation complete! Generated scores for ${allScores.length} entities`);
+      this.printSummaryStats(allScores, rollups);
+    }
 
     return {
       scores: allScores,
+      rollups,
       errors,
-      totalEntities: allScores.length
+      totalEntities: allScores.length,
+      staleFiles: this.staleFiles
     };
   }
 
+  /**
+   * Score entity objects in memory, without reading or writing files: the all.json
+   * entries with review status, the rollups and one error per object that could not be
+   * scored. Timestamps and reviewers are taken from the objects as they are.
+   */
+  calculateScores(entityDataList) {
+    const scores = [];
+    const errors = [];
+    const entityDataMap = new Map();
+
+    entityDataList.forEach((data, index) => {
+      try {
+        const entityScore = this.applyReviewExpiry(this.processEntityData(data), data);
+        scores.push(entityScore);
+        entityDataMap.set(entityScore, data);
+      } catch (error) {
+        errors.push({ index, entityRef: (data && data.entityRef) || null, message: error.message });
+      }
+    });
+
+    scores.sort((a, b) => this.compareEntityRefs(a.entityRef, b.entityRef));
+    const rollups = this.rollups ? this.calculateRollups(entityDataMap) : [];
+    return { scores, rollups, errors };
+  }
+
+  compareEntityRefs(a, b) {
+    const key = ref => [ref.name, ref.namespace || 'default', ref.kind].join('\u0000');
+    const [keyA, keyB] = [key(a), key(b)];
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+  }
+
+  getEntityKey(entityRef) {
+    return `${entityRef.kind}:${entityRef.namespace || 'default'}/${entityRef.name}`;
+  }
+
+  readPreviousScores() {
+    const previousScores = new Map();
+    if (!fs.existsSync(this.outputFile)) {
+      return previousScores;
+    }
+
+    try {
+      JSON.parse(fs.readFileSync(this.outputFile, 'utf8'))
+        .forEach(score => previousScores.set(this.getEntityKey(score.entityRef), score));
+    } catch (error) {
+      this.logger.warn(`⚠️  Could not read ${this.outputFile}, treating every entity as changed: ${error.message}`);
+    }
+    return previousScores;
+  }
+
+  // Scores without the fields a calculation run stamps on them, and with the reviewed score before any expiry penalty
+  getDerivedScores(score) {
+    const derived = Object.fromEntries(Object.entries(score).filter(([key]) => !STAMPED_FIELDS.includes(key)));
+    return JSON.stringify({ ...derived, ...score.reviewedScore });
+  }
+
+  hasInputChanged(file, entityScore, previousScores) {
+    if (this.changedFiles) {
+      return this.changedFiles.has(path.normalize(file));
+    }
+
+    const previous = previousScores.get(this.getEntityKey(entityScore.entityRef));
+    return !previous || this.getDerivedScores(previous) !== this.getDerivedScores(entityScore);
+  }
+
+  applyReviewUpdate(entityScore, now) {
+    if (!this.updateTimestamp && !this.reviewer) {
+      return;
+    }
+
+    if (this.updateTimestamp) {
+      entityScore.generatedDateTimeUtc = now;
+      entityScore.scoringReviewDate = now;
+    }
+    if (this.reviewer) {
+      entityScore.scoringReviewer = this.reviewer;
+    }
+    this.reviewedEntities.add(entityScore);
+  }
+
+  /**
+   * Write a file only when its content changes. In check mode nothing is written
+   * and files that would change are collected as stale.
+   */
+  writeIfChanged(filePath, content) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+      return false;
+    }
+
+    if (this.check) {
+      this.staleFiles.push(filePath);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    return true;
+  }
+
+  printCheckResults() {
+    if (this.staleFiles.length === 0) {
+      this.logger.log('\\n✅ All outputs are up to date');
+      return;
+    }
+
+    this.logger.log(`\\n❌ ${this.staleFiles.length} files are stale. Run "npm run calculate" and commit the result:`);
+    this.staleFiles.forEach(file => this.logger.log(`   - ${file}`));
+  }
+
   getEntityScoreFiles() {
     if (!fs.existsSync(this.entityScoresDir)) {
       throw new Error(`Entity scores directory not found: ${this.entityScoresDir}`);
@@ -92,28 +259,37 @@ class ScoreCalculator {
 
     return fs.readdirSync(this.entityScoresDir)
       .filter(file => file.endsWith('.json'))
+      .sort()
       .map(file => path.join(this.entityScoresDir, file));
   }
 
-  processEntityFile(filePath) {
+  readEntityFile(filePath) {
     const content = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(content);
+    return JSON.parse(content);
+  }
 
+  processEntityFile(filePath) {
+    return this.processEntityData(this.readEntityFile(filePath));
+  }
+
+  processEntityData(data) {
     // Validate basic structure
-    if (!data.entityRef || !data.areaScores) {
+    if (!data || !data.entityRef || !data.areaScores) {
       throw new Error('Invalid entity score structure');
     }
+    const structureError = scoring.getStructureError(data);
+    if (structureError) {
+      throw new Error(`Invalid entity score structure: ${structureError.path} ${structureError.message}`);
+    }
 
-    // Calculate scores for each area and overall
-    const processedAreaScores = data.areaScores.map(area => this.processAreaScore(area));
+    // Calculate scores for each area and overall; entries without isOptional take the default of the entity's rubric
+    const { areaScores } = applyRubricDefaults(data, this.registry.resolve(data));
+    const processedAreaScores = areaScores.map(area => this.processAreaScore(area));
     const overallScore = this.calculateOverallScore(processedAreaScores);
 
-    // Build final score object compatible with all.json format
-    const roundedScore = Math.round(overallScore.scorePercent);
-    const calculatedLabel = this.getScoreLabel(roundedScore);
-    const calculatedSuccess = this.getScoreSuccess(roundedScore);
-    
-    const now = new Date().toISOString();
+    // Build final score object compatible with all.json format; coveragePercent tells a real 0 from a missing assessment
+    // Timestamps and reviewer come from the entity file, see applyReviewUpdate
+    const generatedDateTimeUtc = data.generatedDateTimeUtc || new Date().toISOString();
 
     const finalScore = {
       entityRef: {
@@ -123,18 +299,16 @@ class ScoreCalculator {
           namespace: data.entityRef.namespace
         })
       },
-      generatedDateTimeUtc: this.updateTimestamp ? now : (data.generatedDateTimeUtc || now),
-      scorePercent: roundedScore,
-      scoreLabel: calculatedLabel,
-      scoreSuccess: calculatedSuccess,
-      scoringReviewer: this.reviewer ? this.reviewer : (data.scoringReviewer || 'System Review'),
-      scoringReviewDate: this.updateTimestamp ? now : (data.scoringReviewDate || now),
+      generatedDateTimeUtc,
+      ...scoring.getScoreFields(overallScore.scorePercent, this.config),
+      coveragePercent: overallScore.coveragePercent,
+      scoringReviewer: data.scoringReviewer || 'System Review',
+      scoringReviewDate: data.scoringReviewDate || generatedDateTimeUtc,
       areaScores: processedAreaScores.map(area => ({
         id: area.id,
         title: area.title,
-        scorePercent: Math.round(area.scorePercent),
-        scoreLabel: this.getScoreLabel(area.scorePercent),
-        scoreSuccess: this.getScoreSuccess(area.scorePercent)
+        ...scoring.getScoreFields(area.scorePercent, this.config),
+        coveragePercent: area.coveragePercent
       }))
     };
 
@@ -142,65 +316,148 @@ class ScoreCalculator {
   }
 
   processAreaScore(area) {
-    const scoredEntries = area.scoreEntries.filter(entry => 
-      entry.scoreSuccess !== 'unknown' && 
-      entry.scorePercent !== null && 
-      entry.scorePercent !== undefined &&
-      !entry.isOptional
-    );
-
-    let areaScore = 0;
-    if (scoredEntries.length > 0) {
-      const totalScore = scoredEntries.reduce((sum, entry) => sum + entry.scorePercent, 0);
-      areaScore = totalScore / scoredEntries.length;
-    }
+    const { scorePercent, coveragePercent } = scoring.calculateAreaScore(area, this.config);
 
     return {
       id: area.id,
       title: area.title,
-      scorePercent: areaScore,
+      weight: area.weight,
+      scorePercent,
+      coveragePercent,
       scoreEntries: area.scoreEntries
     };
   }
 
   calculateOverallScore(areaScores) {
-    // Filter areas that have actual scores
-    const scoredAreas = areaScores.filter(area => area.scorePercent > 0);
-    
-    if (scoredAreas.length === 0) {
-      return { scorePercent: 0 };
+    // Aggregation method comes from the scoring config, see scoring.js
+    return scoring.calculateOverallScore(areaScores, this.config);
+  }
+
+  getScoreLabel(percent) {
+    return scoring.getScoreLabel(percent, this.config) || 'Red'; // default
+  }
+
+  getScoreSuccess(percent) {
+    return scoring.getScoreSuccess(percent, this.config) || 'failure'; // default
+  }
+
+  /**
+   * Stamp reviewStatus (current, due-soon or expired) and reviewDueDate. Under the decay
+   * or cap penalty an expired entity's overall score is lowered, and the reviewed score
+   * is kept in reviewedScore. A committed score with the same due date and reviewed
+   * score keeps its status and penalty, see getCommittedReview.
+   */
+  applyReviewExpiry(entityScore, data, committed = null) {
+    const review = getReviewStatus({ ...data, scoringReviewDate: entityScore.scoringReviewDate }, this.config, this.today);
+    const committedReview = this.getCommittedReview(entityScore, review, committed);
+    if (committedReview) {
+      return Object.assign(entityScore, committedReview);
     }
 
-    // Simple average of area scores
-    // You can implement weighted scoring here if needed
-    const totalScore = scoredAreas.reduce((sum, area) => sum + area.scorePercent, 0);
-    const averageScore = totalScore / scoredAreas.length;
+    entityScore.reviewStatus = review.status;
+    entityScore.reviewDueDate = review.dueDate;
+
+    const penalized = applyExpiryPenalty(entityScore.scorePercent, review, this.config);
+    if (penalized !== entityScore.scorePercent && entityScore.scoreSuccess !== 'unknown') {
+      const { scorePercent, scoreLabel, scoreSuccess } = entityScore;
+      entityScore.reviewedScore = { scorePercent, scoreLabel, scoreSuccess };
+      Object.assign(entityScore, scoring.getScoreFields(penalized, this.config));
+    }
+    return entityScore;
+  }
+
+  /**
+   * Review fields of the committed all.json entry when only the calendar has moved since
+   * it was written: same due date and same reviewed score. Returns null otherwise.
+   */
+  getCommittedReview(entityScore, review, committed) {
+    if (!committed || !committed.reviewStatus || committed.reviewDueDate !== review.dueDate) {
+      return null;
+    }
+
+    const pick = score => ({ scorePercent: score.scorePercent, scoreLabel: score.scoreLabel, scoreSuccess: score.scoreSuccess });
+    const reviewed = committed.reviewedScore || pick(committed);
+    if (JSON.stringify(pick(reviewed)) !== JSON.stringify(pick(entityScore))) {
+      return null;
+    }
 
     return {
-      scorePercent: averageScore
+      reviewStatus: committed.reviewStatus,
+      reviewDueDate: committed.reviewDueDate,
+      ...pick(committed),
+      ...(committed.reviewedScore && { reviewedScore: committed.reviewedScore })
     };
   }
 
-  getScoreLabel(percent) {
-    for (const [label, range] of Object.entries(COLOR_MAPPING)) {
-      if (percent >= range.min && percent <= range.max) {
-        return label;
+  // Entries without a score stay unknown instead of being banded as a 0
+  getEntryBands(entry) {
+    const assessed = scoring.isScoredEntry({ ...entry, isOptional: false });
+    const { scoreLabel, scoreSuccess } = scoring.getScoreFields(assessed ? entry.scorePercent : null, this.config);
+    return { scoreLabel, scoreSuccess };
+  }
+
+  // Owner, system, domain and criticality of an entity; a system's domain is looked up when the entity has none
+  getEntityMetadata(data) {
+    const entity = this.catalog ? this.catalog.resolve(data.entityRef) : null;
+    const metadata = entity ? getCatalogMetadata(entity) : { ...data.catalogMetadata };
+
+    if (!metadata.domain && metadata.system && this.catalog) {
+      const system = this.catalog.resolve({ kind: 'system', name: String(metadata.system).replace(/^system:/i, '') });
+      if (system && system.domain) {
+        metadata.domain = system.domain;
       }
     }
-    return 'Red'; // default
+    return metadata;
   }
 
-  getScoreSuccess(percent) {
-    for (const [success, range] of Object.entries(SCORE_SUCCESS_MAPPING)) {
-      if (percent >= range.min && percent <= range.max) {
-        return success;
+  calculateRollups(entityDataMap) {
+    const entities = [...entityDataMap.entries()].map(([score, data]) => ({ score, metadata: this.getEntityMetadata(data) }));
+    const { rollups, skipped } = buildRollups(entities, this.config);
+
+    if (skipped.length > 0 && this.verbose) {
+      this.logger.log(`ℹ️  No rollup for ${skipped.join(', ')}: scored directly`);
+    }
+    if (rollups.length > 0 && !this.check) {
+      this.logger.log(`🧮 Rolled up ${entities.length} entities into ${rollups.length} system, domain and team scores`);
+    }
+    return rollups;
+  }
+
+  recordScoreHistory(entityDataMap) {
+    let recorded = 0;
+
+    for (const [entityScore, data] of entityDataMap.entries()) {
+      const refError = getEntityRefError(entityScore.entityRef);
+      if (refError) {
+        this.logger.warn(`⚠️  Not recording history for ${JSON.stringify(entityScore.entityRef)}: ${refError}`);
+        continue;
+      }
+
+      try {
+        const snapshot = this.history.buildSnapshot(entityScore, data);
+        const result = this.history.recordSnapshot(snapshot, { dryRun: this.check });
+        if (result.recorded) recorded++;
+
+        // The last snapshot reflects the current scores, the one before it is the previous state
+        const previous = result.snapshots[result.snapshots.length - 2];
+        if (previous) {
+          entityScore.previousScorePercent = previous.scorePercent;
+          entityScore.trend = getTrend(previous.scorePercent, entityScore.scorePercent);
+        }
+      } catch (error) {
+        this.logger.error(`   ❌ Failed to record history for ${entityScore.entityRef.name}: ${error.message}`);
       }
     }
-    return 'failure'; // default
+
+    if (this.check) {
+      if (recorded > 0) this.staleFiles.push(`${this.history.historyDir} (${recorded} snapshots to record)`);
+      return;
+    }
+    this.logger.log(`🕑 Recorded ${recorded} score snapshots in ${this.history.historyDir}`);
   }
 
-  async updateIndividualEntityFiles(entityFileMap) {
-    console.log('\\n🔄 Updating individual entity files with calculated scores...');
+  async updateIndividualEntityFiles(entityFileMap, entityDataMap = new Map()) {
+    this.logger.log('\\n🔄 Updating individual entity files with calculated scores...');
     let updated = 0;
 
     for (const [filePath, calculatedScore] of entityFileMap.entries()) {
@@ -210,18 +467,19 @@ class ScoreCalculator {
         const originalData = JSON.parse(content);
 
         // Update top-level scores
-        const now = new Date().toISOString();
         originalData.scorePercent = calculatedScore.scorePercent;
         originalData.scoreLabel = calculatedScore.scoreLabel;
         originalData.scoreSuccess = calculatedScore.scoreSuccess;
         
-        // Update timestamp and reviewer if options are set
-        if (this.updateTimestamp) {
-          originalData.generatedDateTimeUtc = now;
-          originalData.scoringReviewDate = now;
-        }
-        if (this.reviewer) {
-          originalData.scoringReviewer = this.reviewer;
+        // Update timestamp and reviewer for entities whose inputs changed
+        if (this.reviewedEntities.has(calculatedScore)) {
+          if (this.updateTimestamp) {
+            originalData.generatedDateTimeUtc = calculatedScore.generatedDateTimeUtc;
+            originalData.scoringReviewDate = calculatedScore.scoringReviewDate;
+          }
+          if (this.reviewer) {
+            originalData.scoringReviewer = calculatedScore.scoringReviewer;
+          }
         }
 
         // Update area scores while preserving scoreEntries
@@ -244,8 +502,7 @@ class ScoreCalculator {
               if (updatedArea.scoreEntries) {
                 updatedArea.scoreEntries = updatedArea.scoreEntries.map(entry => ({
                   ...entry,
-                  scoreLabel: this.getScoreLabel(entry.scorePercent || 0),
-                  scoreSuccess: this.getScoreSuccess(entry.scorePercent || 0)
+                  ...this.getEntryBands(entry)
                 }));
               }
 
@@ -256,34 +513,164 @@ class ScoreCalculator {
           });
         }
 
+        // History and published files are built from the updated data
+        entityDataMap.set(calculatedScore, originalData);
+
         // Write back to file
         const output = JSON.stringify(originalData, null, 2);
-        fs.writeFileSync(filePath, output, 'utf8');
-        updated++;
-
-        if (this.verbose) {
-          console.log(`   ✅ Updated ${path.basename(filePath)}`);
+        if (this.writeIfChanged(filePath, output)) {
+          updated++;
+          if (this.verbose && !this.check) {
+            this.logger.log(`   ✅ Updated ${path.basename(filePath)}`);
+          }
         }
       } catch (error) {
-        console.error(`   ❌ Failed to update ${filePath}: ${error.message}`);
+        this.logger.error(`   ❌ Failed to update ${filePath}: ${error.message}`);
       }
     }
 
-    console.log(`📝 Updated ${updated} individual entity files`);
+    if (!this.check) {
+      this.logger.log(`📝 Updated ${updated} individual entity files`);
+    }
   }
 
   async writeOutputFile(scores) {
-    const outputDir = path.dirname(this.outputFile);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    const output = JSON.stringify(scores, null, 2);
+    if (this.writeIfChanged(this.outputFile, output) && !this.check) {
+      this.logger.log(`📝 Written ${scores.length} entity scores to ${this.outputFile}`);
+    } else if (!this.check) {
+      this.logger.log(`📝 ${this.outputFile} is up to date`);
     }
+  }
 
-    const output = JSON.stringify(scores, null, 2);
-    fs.writeFileSync(this.outputFile, output, 'utf8');
-    console.log(`📝 Written ${scores.length} entity scores to ${this.outputFile}`);
+  getPublishPath(entityRef) {
+    const namespace = (entityRef.namespace || 'default').toLowerCase();
+    return path.posix.join(namespace, entityRef.kind.toLowerCase(), `${entityRef.name}.json`);
+  }
+
+  buildPublishedEntity(entityScore, data) {
+    // Rollups have no entries, they are published as they appear in all.json
+    if (!data) {
+      return entityScore;
+    }
+
+    // Same shape as all.json plus the entries the plugin shows on the entity page
+    const { areaScores } = applyRubricDefaults(data, this.registry.resolve(data));
+    return {
+      ...entityScore,
+      areaScores: entityScore.areaScores.map(area => {
+        const sourceArea = areaScores.find(candidate => candidate.id === area.id) || {};
+        return {
+          ...area,
+          scoreEntries: (sourceArea.scoreEntries || []).map(entry => ({
+            id: entry.id,
+            title: entry.title,
+            isOptional: entry.isOptional || false,
+            scorePercent: entry.scorePercent,
+            ...this.getEntryBands(entry),
+            scoreHints: entry.scoreHints,
+            details: entry.details
+          }))
+        };
+      })
+    };
+  }
+
+  publishEntityFiles(scores, entityDataMap) {
+    const manifest = { entities: [] };
+    const published = new Set();
+    let written = 0;
+
+    for (const entityScore of scores) {
+      // The ref becomes the file path, so a missing name or a "../" must not reach it
+      const refError = getEntityRefError(entityScore.entityRef);
+      if (refError) {
+        this.logger.warn(`⚠️  Not publishing ${JSON.stringify(entityScore.entityRef)}: ${refError}`);
+        continue;
+      }
+
+      const relativePath = this.getPublishPath(entityScore.entityRef);
+      const output = JSON.stringify(this.buildPublishedEntity(entityScore, entityDataMap.get(entityScore)), null, 2);
+      const filePath = path.join(this.publishDir, relativePath);
+
+      if (this.writeIfChanged(filePath, output)) {
+        written++;
+      }
+
+      published.add(relativePath);
+      manifest.entities.push({
+        entityRef: {
+          kind: entityScore.entityRef.kind,
+          namespace: entityScore.entityRef.namespace || 'default',
+          name: entityScore.entityRef.name
+        },
+        path: relativePath,
+        sha256: crypto.createHash('sha256').update(output).digest('hex'),
+        scorePercent: entityScore.scorePercent,
+        scoreLabel: entityScore.scoreLabel,
+        scoreSuccess: entityScore.scoreSuccess
+      });
+    }
+
+    this.writeIfChanged(path.join(this.publishDir, 'index.json'), JSON.stringify(manifest, null, 2));
+    const removed = fs.existsSync(this.publishDir) ? this.removeStalePublishedFiles(published) : 0;
+
+    if (this.check) return;
+    this.logger.log(`📦 Published ${manifest.entities.length} entity files to ${this.publishDir} (${written} written, ${removed} stale removed)`);
+  }
+
+  // Entity files live at <namespace>/<kind>/<name>.json, anything else in publishDir is left alone
+  removeStalePublishedFiles(published) {
+    let removed = 0;
+
+    const walk = (relativeDir, depth) => {
+      const dir = path.join(this.publishDir, relativeDir);
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(dirent => {
+        const relativePath = path.posix.join(relativeDir, dirent.name);
+        if (dirent.isDirectory() && depth < 2) {
+          walk(relativePath, depth + 1);
+          if (!this.check && fs.readdirSync(path.join(this.publishDir, relativePath)).length === 0) {
+            fs.rmdirSync(path.join(this.publishDir, relativePath));
+          }
+        } else if (dirent.isFile() && depth === 2 && dirent.name.endsWith('.json') && !published.has(relativePath)) {
+          removed++;
+          if (this.check) {
+            this.staleFiles.push(path.join(this.publishDir, relativePath));
+            return;
+          }
+          fs.unlinkSync(path.join(this.publishDir, relativePath));
+          if (this.verbose) {
+            this.logger.log(`   🗑️  Removed stale ${relativePath}`);
+          }
+        }
+      });
+    };
+
+    walk('', 0);
+    return removed;
+  }
+
+  writeCalibrationReport(entityDataList) {
+    const report = buildCalibrationReport(entityDataList, this.config);
+    if (!report.overall) {
+      return report;
+    }
+
+    fs.mkdirSync(path.dirname(this.calibrationFile), { recursive: true });
+    fs.writeFileSync(this.calibrationFile, JSON.stringify(report, null, 2), 'utf8');
+    this.logger.log(`🎯 Written calibration report for ${report.overall.entries} self-scored entries to ${this.calibrationFile}`);
+
+    report.byTeam
+      .filter(team => team.bias !== 'calibrated')
+      .forEach(team => {
+        const sign = team.meanDelta > 0 ? '+' : '';
+        this.logger.log(`   ${team.team} ${team.bias}: ${sign}${team.meanDelta} points on average (spread ${team.stdDev}, ${team.entries} entries)`);
+      });
+
+    return report;
   }
 
-  printSummaryStats(scores) {
+  printSummaryStats(scores, rollups = []) {
     const stats = {
       total: scores.length,
       bySuccess: {},
@@ -304,19 +691,34 @@ class ScoreCalculator {
 
     stats.averageScore = scores.length > 0 ? (totalScore / scores.length).toFixed(1) : 0;
 
-    console.log('\\n📊 Summary Statistics:');
-    console.log(`   Total Entities: ${stats.total}`);
-    console.log(`   Average Score: ${stats.averageScore}%`);
-    console.log('\\n📈 Score Distribution:');
+    this.logger.log('\\n📊 Summary Statistics:');
+    this.logger.log(`   Total Entities: ${stats.total}`);
+    if (rollups.length > 0) {
+      this.logger.log(`   Rollups: ${rollups.length}`);
+    }
+    this.logger.log(`   Average Score: ${stats.averageScore}%`);
+    this.logger.log('\\n📈 Score Distribution:');
     
     Object.entries(stats.bySuccess).forEach(([category, count]) => {
-      console.log(`   ${category}: ${count} entities`);
+      this.logger.log(`   ${category}: ${count} entities`);
     });
     
-    console.log('\\n🎨 Color Distribution:');
+    this.logger.log('\\n🎨 Color Distribution:');
     Object.entries(stats.byLabel).forEach(([label, count]) => {
-      console.log(`   ${label}: ${count} entities`);
+      this.logger.log(`   ${label}: ${count} entities`);
     });
+
+    // Unknown entries are flagged whichever way the policy scores them
+    const incomplete = scores.filter(score => typeof score.coveragePercent === 'number' && score.coveragePercent < 100);
+    if (incomplete.length > 0) {
+      const policy = this.config.coverage.unknownEntries === 'zero' ? 'unknown entries count as 0' : 'unknown entries are excluded';
+      this.logger.log(`\\n🔍 Incomplete assessments (${policy}):`);
+      incomplete.forEach(score => {
+        const missing = score.areaScores.filter(area => area.scoreSuccess === 'unknown').map(area => area.title);
+        const areas = missing.length > 0 ? `, not assessed: ${missing.join(', ')}` : '';
+        this.logger.log(`   ${score.entityRef.name}: ${score.coveragePercent}% assessed${areas}`);
+      });
+    }
   }
 }
 
@@ -334,6 +736,36 @@ if (require.main === module) {
       case '--output':
         options.outputFile = args[++i];
         break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--history-dir':
+        options.historyDir = args[++i];
+        break;
+      case '--no-history':
+        options.recordHistory = false;
+        break;
+      case '--registry':
+        options.registryFile = args[++i];
+        break;
+      case '--publish-dir':
+        options.publishDir = args[++i];
+        break;
+      case '--no-publish':
+        options.publish = false;
+        break;
+      case '--calibration-file':
+        options.calibrationFile = args[++i];
+        break;
+      case '--no-calibration':
+        options.calibration = false;
+        break;
+      case '--catalog':
+        options.catalogSource = args[++i];
+        break;
+      case '--no-rollups':
+        options.rollups = false;
+        break;
       case '--reviewer':
         options.reviewer = args[++i];
         break;
@@ -343,6 +775,12 @@ if (require.main === module) {
       case '--verbose':
         options.verbose = true;
         break;
+      case '--check':
+        options.check = true;
+        break;
+      case '--today':
+        options.today = args[++i];
+        break;
       case '--help':
         console.log(`
 Usage: node calculate-scores.js [options]
@@ -350,6 +788,18 @@ Usage: node calculate-scores.js [options]
 Options:
   --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
   --output <file>              Output file path (default: ./all.json)
+  --config <file>              Scoring policy file (default: ./scorecard.config.json if present)
+  --registry <file>            Template registry picking the rubric per entity kind and tag (default: templates/registry.json)
+  --history-dir <dir>          Score history directory (default: ./history)
+  --no-history                 Do not record score snapshots
+  --publish-dir <dir>          Per-entity files for scorecard/jsonDataUrl (default: ./dist)
+  --no-publish                 Do not publish per-entity files
+  --calibration-file <file>    Self score versus agreed score report (default: ./reports/calibration.json)
+  --no-calibration             Do not write the calibration report
+  --catalog <dir|export.json>  Catalog for rollup ownership (default: each file's catalogMetadata)
+  --no-rollups                 Do not add system, domain and team rollups to all.json
+  --today <YYYY-MM-DD>         Date review expiry is checked against (default: today, UTC)
+  --check                      Write nothing, exit 1 if all.json, entity files or published files are stale
   --verbose                    Verbose output
   --help                       Show this help message
 
@@ -362,10 +812,24 @@ Examples:
     }
   }
 
-  const calculator = new ScoreCalculator(options);
+  if (options.today && !isValidDate(options.today)) {
+    console.error(`❌ --today must be a YYYY-MM-DD date, got ${options.today}`);
+    process.exit(1);
+  }
+
+  let calculator;
+  try {
+    calculator = new ScoreCalculator(options);
+  } catch (error) {
+    console.error('❌ Score calculation failed:', error.message);
+    process.exit(1);
+  }
   
   calculator.calculateAllScores()
     .then(result => {
+      if (options.check) {
+        process.exit(result.staleFiles.length > 0 ? 1 : 0);
+      }
       console.log('\\n🎉 Score calculation completed successfully!');
       process.exit(0);
     })
@@ -0,0 +1,99 @@
+/**
+ * Self-assessment calibration
+ * Compares each entry's selfScorePercent with the score agreed in the review
+ * meeting and summarises the over- or under-estimate per entity, team and criterion
+ */
+
+const UNASSIGNED_TEAM = '(unassigned)';
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function hasScore(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+/**
+ * One delta per entry that carries both a self score and an agreed score.
+ * A positive delta means the developer scored higher than the meeting agreed.
+ */
+function getCalibrationDeltas(data) {
+  const entityRef = data.entityRef || {};
+  const entity = `${entityRef.kind || 'component'}:${entityRef.namespace || 'default'}/${entityRef.name}`;
+  const team = (data.catalogMetadata && data.catalogMetadata.owner) || UNASSIGNED_TEAM;
+
+  return (data.areaScores || []).flatMap(area => (area.scoreEntries || [])
+    .filter(entry => hasScore(entry.selfScorePercent) && hasScore(entry.scorePercent))
+    .map(entry => ({
+      entity,
+      team,
+      area: area.title,
+      criterion: entry.title,
+      selfScorePercent: entry.selfScorePercent,
+      scorePercent: entry.scorePercent,
+      delta: entry.selfScorePercent - entry.scorePercent
+    })));
+}
+
+function getBias(meanDelta, threshold) {
+  if (meanDelta > threshold) return 'inflates';
+  if (meanDelta < -threshold) return 'sandbags';
+  return 'calibrated';
+}
+
+/**
+ * Mean delta is the bias, the standard deviation is its spread. A team that
+ * inflates consistently has a large mean and a small spread.
+ */
+function summarize(deltas, threshold) {
+  const values = deltas.map(item => item.delta);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    entries: values.length,
+    meanDelta: round(mean),
+    meanAbsoluteDelta: round(values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length),
+    stdDev: round(Math.sqrt(variance)),
+    bias: getBias(mean, threshold)
+  };
+}
+
+// describe(key, items) returns the fields that identify a group
+function groupBy(deltas, getKey, describe, threshold) {
+  const groups = new Map();
+  deltas.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, items]) => ({ ...describe(key, items), ...summarize(items, threshold) }));
+}
+
+/**
+ * Build the calibration report from entity file contents.
+ */
+function buildCalibrationReport(entityDataList, config) {
+  const threshold = config.calibration.biasThreshold;
+  const deltas = entityDataList.flatMap(data => getCalibrationDeltas(data));
+
+  return {
+    biasThreshold: threshold,
+    overall: deltas.length > 0 ? summarize(deltas, threshold) : null,
+    byEntity: groupBy(deltas, item => item.entity,
+      (entity, items) => ({ entity, team: items[0].team }), threshold),
+    byTeam: groupBy(deltas, item => item.team,
+      (team, items) => ({ team, entities: new Set(items.map(item => item.entity)).size }), threshold),
+    byCriterion: groupBy(deltas, item => `${item.area} / ${item.criterion}`,
+      criterion => ({ criterion }), threshold)
+  };
+}
+
+module.exports = {
+  buildCalibrationReport,
+  getCalibrationDeltas
+};
@@ -0,0 +1,211 @@
+/**
+ * Backstage catalog lookups
+ * Loads entities from a directory of catalog-info.yaml files or a JSON catalog
+ * export and resolves entity score refs against them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CATALOG_FILE_NAMES = ['catalog-info.yaml', 'catalog-info.yml'];
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+const CRITICALITY_ANNOTATION = 'scorecard/criticality';
+
+// Backstage formats for entity kinds, names and namespaces (namespaces are compared in lowercase here)
+const KIND_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+const NAME_PATTERN = /^[a-zA-Z0-9]+([-_.][a-zA-Z0-9]+)*$/;
+const NAMESPACE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/i;
+const MAX_REF_PART_LENGTH = 63;
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function normalizeEntity(entity, source) {
+  if (!entity || typeof entity !== 'object' || !entity.kind || !entity.metadata || !entity.metadata.name) {
+    return null;
+  }
+
+  const spec = entity.spec || {};
+  const annotations = entity.metadata.annotations || {};
+  return {
+    kind: String(entity.kind).toLowerCase(),
+    namespace: String(entity.metadata.namespace || 'default').toLowerCase(),
+    name: String(entity.metadata.name),
+    owner: spec.owner,
+    system: spec.system,
+    domain: spec.domain,
+    tags: Array.isArray(entity.metadata.tags) ? entity.metadata.tags : undefined,
+    criticality: annotations[CRITICALITY_ANNOTATION],
+    source
+  };
+}
+
+function findCatalogFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(dirent => {
+    const fullPath = path.join(directory, dirent.name);
+    if (dirent.isDirectory()) {
+      return SKIPPED_DIRECTORIES.includes(dirent.name) ? [] : findCatalogFiles(fullPath);
+    }
+    return CATALOG_FILE_NAMES.includes(dirent.name) ? [fullPath] : [];
+  });
+}
+
+class CatalogIndex {
+  constructor(entities = []) {
+    this.entities = entities;
+  }
+
+  /**
+   * Load a catalog from a directory of catalog-info.yaml files or a JSON export
+   * (an array of entities or the { items: [...] } shape returned by the catalog API)
+   */
+  static load(source) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Catalog not found: ${source}`);
+    }
+
+    if (fs.statSync(source).isDirectory()) {
+      const entities = findCatalogFiles(source).flatMap(file => {
+        try {
+          return yaml.loadAll(fs.readFileSync(file, 'utf8')).map(entity => normalizeEntity(entity, file));
+        } catch (error) {
+          throw new Error(`Invalid catalog file ${file}: ${error.message}`);
+        }
+      });
+      return new CatalogIndex(entities.filter(Boolean));
+    }
+
+    let exported;
+    try {
+      exported = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid catalog export ${source}: ${error.message}`);
+    }
+    const items = Array.isArray(exported) ? exported : exported.items;
+    if (!Array.isArray(items)) {
+      throw new Error(`Catalog export ${source} must be an array of entities or an object with an items array`);
+    }
+    return new CatalogIndex(items.map(entity => normalizeEntity(entity, source)).filter(Boolean));
+  }
+
+  // Backstage compares entity refs case-insensitively
+  findByName(name) {
+    const wanted = String(name).toLowerCase();
+    return this.entities.filter(entity => entity.name.toLowerCase() === wanted);
+  }
+
+  resolve(entityRef) {
+    const kind = String(entityRef.kind || 'component').toLowerCase();
+    const namespace = String(entityRef.namespace || 'default').toLowerCase();
+    return this.findByName(entityRef.name)
+      .find(entity => entity.kind === kind && entity.namespace === namespace) || null;
+  }
+
+  suggest(name, limit = 3) {
+    const wanted = String(name).toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(wanted.length / 3));
+    const names = [...new Set(this.entities.map(entity => entity.name))];
+
+    return names
+      .map(candidate => ({ candidate, distance: levenshtein(wanted, candidate.toLowerCase()) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+  }
+}
+
+/**
+ * Check an entityRef against the catalog.
+ * Returns the resolved catalog entity (or null) and findings with a JSON pointer and a message.
+ */
+function checkEntityRef(entityRef, catalog) {
+  const findings = [];
+  if (!entityRef || typeof entityRef !== 'object' || typeof entityRef.name !== 'string') {
+    return { entity: null, findings };
+  }
+
+  const entity = catalog.resolve(entityRef);
+  if (entity) {
+    return { entity, findings };
+  }
+
+  const kind = String(entityRef.kind || 'component').toLowerCase();
+  const namespace = String(entityRef.namespace || 'default').toLowerCase();
+  const sameName = catalog.findByName(entityRef.name);
+
+  if (sameName.length > 0) {
+    const refs = sameName.map(candidate => `${candidate.kind}:${candidate.namespace}/${candidate.name}`).join(', ');
+    const pointer = sameName.some(candidate => candidate.kind === kind) ? '/entityRef/namespace' : '/entityRef/kind';
+    findings.push({
+      path: pointer,
+      message: `${kind}:${namespace}/${entityRef.name} is not in the catalog, but ${refs} is. Check kind and namespace`
+    });
+  } else {
+    const suggestions = catalog.suggest(entityRef.name);
+    const hint = suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : '';
+    findings.push({
+      path: '/entityRef/name',
+      message: `Entity "${entityRef.name}" was not found in the catalog${hint}`
+    });
+  }
+
+  return { entity: null, findings };
+}
+
+/**
+ * Why an entityRef cannot name a file: a missing or malformed kind, name or namespace.
+ * Published files and history are stored under <namespace>/<kind>/<name>, so anything
+ * outside the Backstage formats (an undefined name, a "../") is rejected. Returns null
+ * for a valid ref.
+ */
+function getEntityRefError(entityRef) {
+  if (!entityRef || typeof entityRef !== 'object') {
+    return 'entityRef is missing';
+  }
+
+  const parts = [
+    ['kind', entityRef.kind, KIND_PATTERN],
+    ['name', entityRef.name, NAME_PATTERN],
+    ['namespace', entityRef.namespace === undefined ? 'default' : entityRef.namespace, NAMESPACE_PATTERN]
+  ];
+  const invalid = parts.find(([, value, pattern]) => typeof value !== 'string' || value.length > MAX_REF_PART_LENGTH || !pattern.test(value));
+  if (!invalid) {
+    return null;
+  }
+
+  const [part, value] = invalid;
+  return value === undefined || value === null
+    ? `entityRef has no ${part}`
+    : `entityRef ${part} ${JSON.stringify(value)} is not a valid Backstage ${part}`;
+}
+
+function getCatalogMetadata(entity) {
+  const metadata = {};
+  ['owner', 'system', 'domain', 'tags', 'criticality'].forEach(field => {
+    if (entity[field] !== undefined) metadata[field] = entity[field];
+  });
+  return metadata;
+}
+
+module.exports = {
+  CRITICALITY_ANNOTATION,
+  CatalogIndex,
+  checkEntityRef,
+  getCatalogMetadata,
+  getEntityRefError,
+  levenshtein
+};
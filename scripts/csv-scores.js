@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * CSV export/import for spreadsheet-based review meetings
+ * Flattens entity score files into one row per entry and applies edited rows back
+ * into the JSON files, preserving every field the CSV does not cover
+ * Usage: node csv-scores.js export [<entity-score-file.json> ...] [--output <file.csv>]
+ *    or: node csv-scores.js import <file.csv> [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const scoring = require('./scoring');
+const { loadScoringConfig } = require('./scoring-config');
+const { normalizeTitle } = require('./rubric');
+const { ScoreValidator } = require('./validate-scores');
+
+const COLUMNS = [
+  'entity',
+  'kind',
+  'namespace',
+  'area_id',
+  'area_title',
+  'entry_id',
+  'entry_title',
+  'self_score',
+  'score',
+  'optional',
+  'details',
+  'comments',
+  'improvement_plan'
+];
+
+const UNKNOWN_SCORE = 'unknown';
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim().length > 0));
+}
+
+function getEntityKey(entityRef) {
+  return `${entityRef.kind || 'component'}:${entityRef.namespace || 'default'}/${entityRef.name}`.toLowerCase();
+}
+
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ScoreCsv {
+  constructor(options = {}) {
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.config = options.config || loadScoringConfig(options.configFile);
+    this.dryRun = options.dryRun || false;
+  }
+
+  getEntityScoreFiles() {
+    if (!fs.existsSync(this.entityScoresDir)) {
+      throw new Error(`Entity scores directory not found: ${this.entityScoresDir}`);
+    }
+
+    return fs.readdirSync(this.entityScoresDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(this.entityScoresDir, file));
+  }
+
+  exportRows(files = this.getEntityScoreFiles()) {
+    const rows = [];
+
+    files.forEach(file => {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data.areaScores.forEach(area => area.scoreEntries.forEach(entry => {
+        rows.push({
+          entity: data.entityRef.name,
+          kind: data.entityRef.kind,
+          namespace: data.entityRef.namespace || 'default',
+          area_id: area.id,
+          area_title: area.title,
+          entry_id: entry.id,
+          entry_title: entry.title,
+          self_score: typeof entry.selfScorePercent === 'number' ? entry.selfScorePercent : '',
+          score: scoring.isScoredEntry({ ...entry, isOptional: false }) ? entry.scorePercent : UNKNOWN_SCORE,
+          optional: entry.isOptional ? 'true' : 'false',
+          details: entry.details || '',
+          comments: entry.selfAssessmentComments || '',
+          improvement_plan: entry.improvementPlan || ''
+        });
+      }));
+    });
+
+    return rows;
+  }
+
+  toCsv(rows) {
+    const lines = [COLUMNS.join(',')];
+    rows.forEach(row => lines.push(COLUMNS.map(column => formatCsvField(row[column])).join(',')));
+    // The BOM lets spreadsheet applications detect UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  readCsv(filePath) {
+    const [header, ...records] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+    if (!header) {
+      throw new Error(`CSV file is empty: ${filePath}`);
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    const missing = ['entity', 'area_id', 'entry_id'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+    }
+
+    return records.map((cells, index) => {
+      const row = { line: index + 2 };
+      columns.forEach((column, columnIndex) => {
+        row[column] = cells[columnIndex];
+      });
+      return row;
+    });
+  }
+
+  // Entity files keyed by kind:namespace/name
+  findEntityFiles() {
+    const files = new Map();
+    this.getEntityScoreFiles().forEach(file => {
+      try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (data.entityRef && data.entityRef.name) files.set(getEntityKey(data.entityRef), file);
+      } catch (error) {
+        console.warn(`⚠️  Skipping ${file}: ${error.message}`);
+      }
+    });
+    return files;
+  }
+
+  /**
+   * Key of the entity file a row belongs to. Sheets exported before the kind and namespace
+   * columns existed match by name, as long as only one entity has that name.
+   */
+  resolveEntityKey(row, entityFiles) {
+    const name = (row.entity || '').trim();
+    if (row.kind !== undefined && row.kind.trim() !== '') {
+      const key = getEntityKey({ kind: row.kind.trim(), namespace: (row.namespace || '').trim(), name });
+      if (!entityFiles.has(key)) {
+        throw new Error(`unknown entity "${key}"`);
+      }
+      return key;
+    }
+
+    const keys = [...entityFiles.keys()].filter(key => key.endsWith(`/${name.toLowerCase()}`));
+    if (keys.length === 0) {
+      throw new Error(`unknown entity "${name}"`);
+    }
+    if (keys.length > 1) {
+      throw new Error(`entity "${name}" is ambiguous (${keys.join(', ')}), add kind and namespace columns`);
+    }
+    return keys[0];
+  }
+
+  parseScore(value) {
+    const text = String(value === undefined ? '' : value).trim().toLowerCase();
+    if (text === '' || text === UNKNOWN_SCORE) {
+      return { scorePercent: null, scoreSuccess: 'unknown' };
+    }
+
+    const percent = Number(text.replace(/%$/, ''));
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new Error(`score must be 0-100 or "${UNKNOWN_SCORE}", got "${value}"`);
+    }
+    return { scorePercent: percent, scoreSuccess: scoring.getScoreSuccess(percent, this.config) || 'unknown' };
+  }
+
+  // Label of an entry's score, banded the way the calculator bands entries
+  getScoreLabel(scorePercent) {
+    return scoring.getScoreFields(scorePercent, this.config).scoreLabel;
+  }
+
+  // A blank self score removes selfScorePercent
+  parseSelfScore(value) {
+    const text = String(value).trim().replace(/%$/, '');
+    if (text === '') {
+      return null;
+    }
+
+    const percent = Number(text);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new Error(`self_score must be 0-100 or empty, got "${value}"`);
+    }
+    return percent;
+  }
+
+  parseBoolean(value) {
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0', ''].includes(text)) return false;
+    throw new Error(`optional must be true or false, got "${value}"`);
+  }
+
+  // Ids decide the match; titles only break ties where a legacy file reuses an id
+  findById(items, id, title) {
+    const candidates = items.filter(item => String(item.id) === String(id).trim());
+    return candidates.find(item => normalizeTitle(item.title) === normalizeTitle(title)) || candidates[0] || null;
+  }
+
+  applyRow(data, row, changes) {
+    const area = this.findById(data.areaScores, row.area_id, row.area_title);
+    if (!area) throw new Error(`area ${row.area_id} not found`);
+
+    const entry = this.findById(area.scoreEntries, row.entry_id, row.entry_title);
+    if (!entry) throw new Error(`entry ${row.entry_id} not found in area ${area.title}`);
+
+    // The self score goes first, so a score change can tell whether the sheet set one
+    const updates = {};
+    if (row.self_score !== undefined) updates.selfScorePercent = this.parseSelfScore(row.self_score);
+    if (row.score !== undefined) Object.assign(updates, this.parseScore(row.score));
+    if (row.optional !== undefined) updates.isOptional = this.parseBoolean(row.optional);
+    if (row.details !== undefined) updates.details = row.details;
+    if (row.comments !== undefined) updates.selfAssessmentComments = row.comments;
+    if (row.improvement_plan !== undefined) updates.improvementPlan = row.improvement_plan;
+
+    // Until a file has been reviewed its scores are the developer's own; after that they are agreed scores
+    const neverReviewed = !data.scoringReviewDate;
+
+    let selfScoreCleared = false;
+    for (const [field, value] of Object.entries(updates)) {
+      const current = entry[field] === undefined ? (field === 'isOptional' ? false : '') : entry[field];
+      const normalizedCurrent = ['scorePercent', 'selfScorePercent'].includes(field) && current === '' ? null : current;
+      if (normalizedCurrent === value) continue;
+
+      // The first time the meeting changes a score, keep the developer's score for calibration
+      if (field === 'scorePercent' && typeof current === 'number' && entry.selfScorePercent === undefined && !selfScoreCleared) {
+        if (!neverReviewed && row.self_score === undefined) {
+          throw new Error(`entry ${entry.id} was reviewed before, so a score change needs a self_score column`);
+        }
+        if (neverReviewed) {
+          changes.push({ area: area.title, entry: entry.title, field: 'selfScorePercent', from: null, to: current });
+          entry.selfScorePercent = current;
+        }
+      }
+
+      changes.push({ area: area.title, entry: entry.title, field, from: normalizedCurrent, to: value });
+      if (field === 'selfScorePercent' && value === null) {
+        delete entry.selfScorePercent;
+        selfScoreCleared = true;
+      } else {
+        entry[field] = value;
+      }
+    }
+
+    // A new score needs its label now, not after the next calculate
+    if (entry.scoreLabel !== undefined && (updates.scorePercent !== undefined || updates.scoreSuccess !== undefined)) {
+      const scoreLabel = this.getScoreLabel(entry.scoreSuccess === 'unknown' ? null : entry.scorePercent);
+      if (scoreLabel !== entry.scoreLabel) {
+        changes.push({ area: area.title, entry: entry.title, field: 'scoreLabel', from: entry.scoreLabel, to: scoreLabel });
+        entry.scoreLabel = scoreLabel;
+      }
+    }
+  }
+
+  importCsv(csvFile) {
+    const rows = this.readCsv(csvFile);
+    const entityFiles = this.findEntityFiles();
+    const rowsByEntity = new Map();
+    const result = { updated: [], unchanged: [], failed: [], rowErrors: [] };
+
+    rows.forEach(row => {
+      let key;
+      try {
+        key = this.resolveEntityKey(row, entityFiles);
+      } catch (error) {
+        result.rowErrors.push(`line ${row.line}: ${error.message}`);
+        return;
+      }
+      if (!rowsByEntity.has(key)) rowsByEntity.set(key, []);
+      rowsByEntity.get(key).push(row);
+    });
+
+    for (const [key, entityRows] of rowsByEntity.entries()) {
+      const filePath = entityFiles.get(key);
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const changes = [];
+      const errors = [];
+
+      entityRows.forEach(row => {
+        try {
+          this.applyRow(data, row, changes);
+        } catch (error) {
+          errors.push(`line ${row.line}: ${error.message}`);
+        }
+      });
+
+      // One bad row leaves the whole file as it was, so an entity is never half imported
+      if (errors.length > 0) {
+        result.failed.push({ filePath, changes, errors });
+        continue;
+      }
+
+      if (changes.length === 0) {
+        result.unchanged.push(filePath);
+        continue;
+      }
+
+      const validator = new ScoreValidator({ config: this.config });
+      validator.currentFile = filePath;
+      if (!validator.validateEntityScore(data)) {
+        result.failed.push({ filePath, changes, errors: validator.errors.map(error => validator.formatIssue(error)) });
+        continue;
+      }
+
+      if (!this.dryRun) {
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+      }
+      result.updated.push({ filePath, changes });
+    }
+
+    return result;
+  }
+
+  formatValue(value) {
+    if (value === null) return UNKNOWN_SCORE;
+    const text = String(value);
+    return text.length > 40 ? `"${text.slice(0, 37)}..."` : JSON.stringify(value);
+  }
+
+  printImportResult(result) {
+    console.log(`\n📥 CSV import${this.dryRun ? ' (dry run)' : ''}:`);
+
+    result.updated.forEach(({ filePath, changes }) => {
+      console.log(`\n✅ ${filePath}: ${changes.length} changes`);
+      changes.forEach(change => {
+        console.log(`   ${change.area} / ${change.entry} ${change.field}: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}`);
+      });
+    });
+
+    result.failed.forEach(({ filePath, errors }) => {
+      console.log(`\n❌ ${filePath}: not written`);
+      errors.forEach(error => console.log(`   ${error}`));
+    });
+
+    if (result.rowErrors.length > 0) {
+      console.log('\n⚠️  Skipped rows:');
+      result.rowErrors.forEach(error => console.log(`   ${error}`));
+    }
+
+    console.log(`\n📈 Summary: ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.failed.length} failed, ${result.rowErrors.length} rows skipped`);
+    return result.failed.length === 0 && result.rowErrors.length === 0;
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const [firstArg, ...args] = process.argv.slice(2);
+  let command = firstArg;
+  const options = {};
+  const files = [];
+  let outputFile = null;
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--output':
+        outputFile = args[++i];
+        break;
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        command = 'help';
+        break;
+      default:
+        files.push(args[i]);
+    }
+  }
+
+  const usage = (exitCode) => {
+    (exitCode === 0 ? console.log : console.error)(`
+Usage: node csv-scores.js export [<entity-score-file.json> ...] [--output <file.csv>]
+       node csv-scores.js import <file.csv> [--dry-run]
+
+Options:
+  --output <file>              Write the export to a file instead of stdout
+  --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
+  --config <file>              Scoring policy file (default: ./scorecard.config.json if present)
+  --dry-run                    Report import changes without writing files
+  --help                       Show this help message
+
+Examples:
+  node csv-scores.js export --output review-meeting.csv
+  node csv-scores.js import review-meeting.csv --dry-run
+    `);
+    process.exit(exitCode);
+  };
+
+  try {
+    if (command === 'help' || command === '--help') usage(0);
+    const csv = new ScoreCsv(options);
+
+    if (command === 'export') {
+      const rows = csv.exportRows(files.length > 0 ? files : undefined);
+      const content = csv.toCsv(rows);
+      if (outputFile) {
+        fs.writeFileSync(outputFile, content, 'utf8');
+        console.log(`📝 Exported ${rows.length} rows to ${outputFile}`);
+      } else {
+        process.stdout.write(content);
+      }
+    } else if (command === 'import') {
+      if (files.length !== 1) usage(1);
+      const ok = csv.printImportResult(csv.importCsv(files[0]));
+      process.exit(ok ? 0 : 1);
+    } else {
+      usage(1);
+    }
+  } catch (error) {
+    console.error('❌ CSV processing failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { ScoreCsv, parseCsv };
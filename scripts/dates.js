@@ -0,0 +1,22 @@
+/**
+ * Calendar dates
+ * YYYY-MM-DD helpers shared by the calculator, the validator and the report commands
+ */
+
+// Today in UTC, the form deadlines and --today are written in
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+  getToday,
+  isValidDate
+};
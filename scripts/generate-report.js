@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+
+/**
+ * Portfolio report generator
+ * Builds a self-contained static HTML page and a Markdown version from all.json and
+ * the entity score files: completion status, entity × area heatmap, score histograms,
+ * lowest-scoring criteria, improvement trends and a drill-down per entity
+ * Usage: node generate-report.js [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const scoring = require('./scoring');
+const { loadScoringConfig } = require('./scoring-config');
+const { TrendReporter } = require('./score-trends');
+const { formatReviewer } = require('./sign-off');
+
+const LABEL_COLORS = {
+  Green: '#2e7d32',
+  Yellow: '#f9a825',
+  Red: '#c62828'
+};
+const HISTOGRAM_BUCKETS = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90];
+const LOWEST_CRITERIA_LIMIT = 10;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+class ReportGenerator {
+  constructor(options = {}) {
+    this.allScoresFile = options.allScoresFile || './all.json';
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.outputDir = options.outputDir || './reports';
+    this.historyDir = options.historyDir;
+    this.config = options.config || loadScoringConfig(options.configFile);
+  }
+
+  async generateReport() {
+    console.log('📊 Generating portfolio report...');
+
+    const report = this.buildReport();
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const htmlFile = path.join(this.outputDir, 'portfolio.html');
+    const markdownFile = path.join(this.outputDir, 'portfolio.md');
+    fs.writeFileSync(htmlFile, this.renderHtml(report), 'utf8');
+    fs.writeFileSync(markdownFile, this.renderMarkdown(report), 'utf8');
+
+    console.log(`📝 Written ${htmlFile}`);
+    console.log(`📝 Written ${markdownFile}`);
+    return { htmlFile, markdownFile, report };
+  }
+
+  loadEntityFiles() {
+    const entities = new Map();
+    if (!fs.existsSync(this.entityScoresDir)) {
+      return entities;
+    }
+
+    fs.readdirSync(this.entityScoresDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(this.entityScoresDir, file), 'utf8'));
+          if (data.entityRef) entities.set(data.entityRef.name, data);
+        } catch (error) {
+          console.warn(`⚠️  Skipping ${file}: ${error.message}`);
+        }
+      });
+    return entities;
+  }
+
+  buildReport() {
+    if (!fs.existsSync(this.allScoresFile)) {
+      throw new Error(`Aggregated scores not found: ${this.allScoresFile}. Run "npm run calculate" first`);
+    }
+
+    // System, domain and team rollups would count their components twice
+    const scores = JSON.parse(fs.readFileSync(this.allScoresFile, 'utf8')).filter(score => !score.rollup);
+    const entityFiles = this.loadEntityFiles();
+
+    // Area columns ordered by how many entities use them
+    const areaCounts = new Map();
+    scores.forEach(score => score.areaScores.forEach(area => {
+      areaCounts.set(area.title, (areaCounts.get(area.title) || 0) + 1);
+    }));
+    const areaTitles = [...areaCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([title]) => title);
+
+    const entities = scores.map(score => {
+      const data = entityFiles.get(score.entityRef.name) || { areaScores: [] };
+      return {
+        score,
+        data,
+        completion: this.getCompletion(data)
+      };
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      entities,
+      areaTitles,
+      histograms: this.buildHistograms(scores, areaTitles),
+      lowestCriteria: this.findLowestCriteria(entities),
+      trends: new TrendReporter({ historyDir: this.historyDir }).buildTrends()
+    };
+  }
+
+  getCompletion(data) {
+    let total = 0;
+    let assessed = 0;
+
+    (data.areaScores || []).forEach(area => (area.scoreEntries || []).forEach(entry => {
+      if (entry.isOptional) return;
+      total++;
+      if (scoring.isScoredEntry(entry)) assessed++;
+    }));
+
+    return {
+      total,
+      assessed,
+      percent: total > 0 ? Math.round((assessed / total) * 100) : 0,
+      complete: total > 0 && assessed === total
+    };
+  }
+
+  bucketOf(percent) {
+    return HISTOGRAM_BUCKETS.filter(bucket => percent >= bucket).pop();
+  }
+
+  buildHistograms(scores, areaTitles) {
+    const emptyBuckets = () => HISTOGRAM_BUCKETS.map(bucket => ({ bucket, count: 0 }));
+    const overall = emptyBuckets();
+    const byArea = new Map(areaTitles.map(title => [title, emptyBuckets()]));
+
+    scores.forEach(score => {
+      overall[HISTOGRAM_BUCKETS.indexOf(this.bucketOf(score.scorePercent))].count++;
+      score.areaScores.forEach(area => {
+        byArea.get(area.title)[HISTOGRAM_BUCKETS.indexOf(this.bucketOf(area.scorePercent))].count++;
+      });
+    });
+
+    return { overall, byArea };
+  }
+
+  findLowestCriteria(entities) {
+    const criteria = new Map();
+
+    entities.forEach(({ score, data }) => (data.areaScores || []).forEach(area => {
+      (area.scoreEntries || []).forEach(entry => {
+        if (!scoring.isScoredEntry(entry)) return;
+        const key = `${area.title} / ${entry.title}`;
+        if (!criteria.has(key)) {
+          criteria.set(key, { area: area.title, entry: entry.title, total: 0, count: 0, entities: [] });
+        }
+        const criterion = criteria.get(key);
+        criterion.total += entry.scorePercent;
+        criterion.count++;
+        criterion.entities.push(score.entityRef.name);
+      });
+    }));
+
+    return [...criteria.values()]
+      .map(criterion => ({ ...criterion, average: Math.round(criterion.total / criterion.count) }))
+      .sort((a, b) => a.average - b.average || b.count - a.count || a.entry.localeCompare(b.entry))
+      .slice(0, LOWEST_CRITERIA_LIMIT);
+  }
+
+  labelColor(percent) {
+    return LABEL_COLORS[scoring.getScoreLabel(percent, this.config)] || '#9e9e9e';
+  }
+
+  bucketLabel(bucket) {
+    return bucket === 90 ? '90-100' : `${bucket}-${bucket + 9}`;
+  }
+
+  renderHtml(report) {
+    const { entities, areaTitles, histograms, lowestCriteria, trends } = report;
+    const cell = percent => (percent === undefined
+      ? '<td class="na">—</td>'
+      : `<td style="background:${this.labelColor(percent)}">${percent}%</td>`);
+
+    const heatmapRows = entities.map(({ score }) => {
+      const byTitle = new Map(score.areaScores.map(area => [area.title, area.scorePercent]));
+      return `<tr><th>${escapeHtml(score.entityRef.name)}</th>${cell(score.scorePercent)}${areaTitles.map(title => cell(byTitle.get(title))).join('')}</tr>`;
+    }).join('\n');
+
+    const histogram = (title, buckets) => {
+      const max = Math.max(1, ...buckets.map(b => b.count));
+      return `<div class="histogram"><h3>${escapeHtml(title)}</h3>${buckets.map(b =>
+        `<div class="bar-row"><span class="bar-label">${this.bucketLabel(b.bucket)}</span><span class="bar" style="width:${(b.count / max) * 100}%;background:${this.labelColor(b.bucket)}"></span><span>${b.count}</span></div>`
+      ).join('')}</div>`;
+    };
+
+    const completionRows = entities.map(({ score, completion }) =>
+      `<tr><td>${escapeHtml(score.entityRef.name)}</td><td>${completion.assessed}/${completion.total}</td><td>${completion.percent}%</td><td>${completion.complete ? '✅' : '⏳'}</td><td>${escapeHtml(formatReviewer(score.scoringReviewer))}</td><td>${escapeHtml((score.scoringReviewDate || '').slice(0, 10))}</td></tr>`
+    ).join('\n');
+
+    const lowestRows = lowestCriteria.map(criterion =>
+      `<tr><td>${escapeHtml(criterion.area)}</td><td>${escapeHtml(criterion.entry)}</td>${cell(criterion.average)}<td>${criterion.count}</td><td>${escapeHtml(criterion.entities.join(', '))}</td></tr>`
+    ).join('\n');
+
+    const trendRows = trends.map(trend =>
+      `<tr><td>${escapeHtml(trend.entityRef.name)}</td><td>${trend.firstScorePercent}%</td><td>${trend.latestScorePercent}%</td><td>${trend.change > 0 ? '+' : ''}${trend.change}</td><td>${trend.snapshots}</td></tr>`
+    ).join('\n');
+
+    const drillDown = entities.map(({ score, data }) => `
+<details>
+<summary><strong>${escapeHtml(score.entityRef.name)}</strong> — ${score.scorePercent}% (${escapeHtml(score.scoreSuccess)})</summary>
+${(data.areaScores || []).map(area => `
+<h4>${escapeHtml(area.title)}</h4>
+<table>
+<tr><th>Entry</th><th>Score</th><th>Details</th><th>Improvement plan</th></tr>
+${(area.scoreEntries || []).map(entry => `<tr><td>${escapeHtml(entry.title)}${entry.isOptional ? ' <em>(optional)</em>' : ''}</td>${scoring.isScoredEntry(entry) ? cell(entry.scorePercent) : '<td class="na">unknown</td>'}<td>${escapeHtml(entry.details || '')}</td><td>${escapeHtml(entry.improvementPlan || '')}</td></tr>`).join('\n')}
+</table>`).join('\n')}
+</details>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Scorecard Portfolio Report</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #212121; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #e0e0e0; padding: 4px 8px; text-align: left; }
+.heatmap td { color: #fff; text-align: center; font-weight: bold; }
+td.na { background: #f5f5f5; color: #9e9e9e; }
+.histograms { display: flex; flex-wrap: wrap; gap: 2rem; }
+.histogram { width: 280px; }
+.bar-row { display: flex; align-items: center; gap: 6px; font-size: 12px; }
+.bar-label { width: 50px; }
+.bar { display: inline-block; height: 12px; }
+details { margin: 0.5rem 0; }
+</style>
+</head>
+<body>
+<h1>Scorecard Portfolio Report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} — ${entities.length} entities</p>
+
+<h2>Completion Status</h2>
+<table>
+<tr><th>Entity</th><th>Assessed entries</th><th>Coverage</th><th>Complete</th><th>Reviewer</th><th>Review date</th></tr>
+${completionRows}
+</table>
+
+<h2>Heatmap</h2>
+<table class="heatmap">
+<tr><th>Entity</th><th>Overall</th>${areaTitles.map(title => `<th>${escapeHtml(title)}</th>`).join('')}</tr>
+${heatmapRows}
+</table>
+
+<h2>Score Distribution</h2>
+<div class="histograms">
+${histogram('Overall', histograms.overall)}
+${areaTitles.map(title => histogram(title, histograms.byArea.get(title))).join('\n')}
+</div>
+
+<h2>Lowest-Scoring Criteria</h2>
+<table>
+<tr><th>Area</th><th>Entry</th><th>Average</th><th>Entities</th><th>Scored by</th></tr>
+${lowestRows}
+</table>
+
+<h2>Improvement Trends</h2>
+${trends.length > 0 ? `<table>
+<tr><th>Entity</th><th>First</th><th>Latest</th><th>Change</th><th>Snapshots</th></tr>
+${trendRows}
+</table>` : '<p>No score history recorded yet.</p>'}
+
+<h2>Entity Details</h2>
+${drillDown}
+</body>
+</html>
+`;
+  }
+
+  renderMarkdown(report) {
+    const { entities, areaTitles, histograms, lowestCriteria, trends } = report;
+    const value = percent => (percent === undefined ? '—' : `${percent}%`);
+    const lines = [
+      '# Scorecard Portfolio Report',
+      '',
+      `Generated ${report.generatedAt} — ${entities.length} entities`,
+      '',
+      '## Completion Status',
+      '',
+      '| Entity | Assessed entries | Coverage | Complete | Reviewer | Review date |',
+      '| --- | --- | --- | --- | --- | --- |'
+    ];
+
+    entities.forEach(({ score, completion }) => {
+      lines.push(`| ${escapeCell(score.entityRef.name)} | ${completion.assessed}/${completion.total} | ${completion.percent}% | ${completion.complete ? '✅' : '⏳'} | ${escapeCell(formatReviewer(score.scoringReviewer))} | ${(score.scoringReviewDate || '').slice(0, 10)} |`);
+    });
+
+    lines.push('', '## Heatmap', '');
+    lines.push(`| Entity | Overall | ${areaTitles.map(escapeCell).join(' | ')} |`);
+    lines.push(`| --- | --- | ${areaTitles.map(() => '---').join(' | ')} |`);
+    entities.forEach(({ score }) => {
+      const byTitle = new Map(score.areaScores.map(area => [area.title, area.scorePercent]));
+      lines.push(`| ${escapeCell(score.entityRef.name)} | ${value(score.scorePercent)} | ${areaTitles.map(title => value(byTitle.get(title))).join(' | ')} |`);
+    });
+
+    lines.push('', '## Score Distribution', '');
+    lines.push(`| Range | Overall | ${areaTitles.map(escapeCell).join(' | ')} |`);
+    lines.push(`| --- | --- | ${areaTitles.map(() => '---').join(' | ')} |`);
+    HISTOGRAM_BUCKETS.forEach((bucket, index) => {
+      lines.push(`| ${this.bucketLabel(bucket)} | ${histograms.overall[index].count} | ${areaTitles.map(title => histograms.byArea.get(title)[index].count).join(' | ')} |`);
+    });
+
+    lines.push('', '## Lowest-Scoring Criteria', '');
+    lines.push('| Area | Entry | Average | Entities |');
+    lines.push('| --- | --- | --- | --- |');
+    lowestCriteria.forEach(criterion => {
+      lines.push(`| ${escapeCell(criterion.area)} | ${escapeCell(criterion.entry)} | ${criterion.average}% | ${criterion.count} |`);
+    });
+
+    lines.push('', '## Improvement Trends', '');
+    if (trends.length === 0) {
+      lines.push('No score history recorded yet.');
+    } else {
+      lines.push('| Entity | First | Latest | Change | Snapshots |');
+      lines.push('| --- | --- | --- | --- | --- |');
+      trends.forEach(trend => {
+        lines.push(`| ${escapeCell(trend.entityRef.name)} | ${trend.firstScorePercent}% | ${trend.latestScorePercent}% | ${trend.change > 0 ? '+' : ''}${trend.change} | ${trend.snapshots} |`);
+      });
+    }
+
+    lines.push('', '## Entity Details');
+    entities.forEach(({ score, data }) => {
+      lines.push('', `### ${score.entityRef.name} — ${score.scorePercent}% (${score.scoreSuccess})`);
+      (data.areaScores || []).forEach(area => {
+        lines.push('', `**${area.title}**`, '', '| Entry | Score | Details |', '| --- | --- | --- |');
+        (area.scoreEntries || []).forEach(entry => {
+          const entryScore = scoring.isScoredEntry(entry) ? `${entry.scorePercent}%` : 'unknown';
+          lines.push(`| ${escapeCell(entry.title)}${entry.isOptional ? ' _(optional)_' : ''} | ${entryScore} | ${escapeCell(entry.details || '')} |`);
+        });
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--input':
+        options.allScoresFile = args[++i];
+        break;
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--output-dir':
+        options.outputDir = args[++i];
+        break;
+      case '--history-dir':
+        options.historyDir = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--help':
+        console.log(`
+Usage: node generate-report.js [options]
+
+Options:
+  --input <file>               Aggregated scores file (default: ./all.json)
+  --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
+  --output-dir <dir>           Where to write portfolio.html and portfolio.md (default: ./reports)
+  --history-dir <dir>          Score history directory for trends (default: ./history)
+  --config <file>              Scoring policy file (default: ./scorecard.config.json if present)
+  --help                       Show this help message
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  let generator;
+  try {
+    generator = new ReportGenerator(options);
+  } catch (error) {
+    console.error('❌ Report generation failed:', error.message);
+    process.exit(1);
+  }
+
+  generator.generateReport()
+    .then(() => {
+      console.log('✅ Portfolio report generated');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Report generation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { ReportGenerator };
@@ -0,0 +1,172 @@
+/**
+ * JSON source positions
+ * Maps every JSON pointer in a document to the line and column where its key and
+ * value start, so findings can be annotated on the exact line of the entity file
+ */
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function getLocationFromOffset(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+class JsonSyntaxError extends Error {
+  constructor(message, location) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.location = location;
+  }
+}
+
+/**
+ * Build a map of JSON pointer → { key, value } locations (1-based line and column).
+ * Throws a JsonSyntaxError carrying the location of the first syntax error.
+ */
+function buildSourceMap(text) {
+  const pointers = new Map();
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const location = () => ({ line, column });
+
+  const fail = expected => {
+    const found = offset < text.length ? `'${text[offset]}'` : 'end of input';
+    throw new JsonSyntaxError(`Expected ${expected} but found ${found}`, location());
+  };
+
+  const advance = () => {
+    if (text[offset] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    offset++;
+  };
+
+  const expect = char => {
+    if (text[offset] !== char) fail(`'${char}'`);
+    advance();
+  };
+
+  const skipWhitespace = () => {
+    while (offset < text.length && /\s/.test(text[offset])) advance();
+  };
+
+  const readString = () => {
+    const start = offset;
+    const startLocation = location();
+    expect('"');
+    while (offset < text.length && text[offset] !== '"') {
+      if (text[offset] === '\\') advance();
+      advance();
+    }
+    expect('"');
+    try {
+      return JSON.parse(text.slice(start, offset));
+    } catch (error) {
+      throw new JsonSyntaxError('Invalid string', startLocation);
+    }
+  };
+
+  const readLiteral = () => {
+    const match = /^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/.exec(text.slice(offset, offset + 64));
+    if (!match) fail('a value');
+    for (let i = 0; i < match[0].length; i++) advance();
+  };
+
+  const readValue = (pointer, key) => {
+    skipWhitespace();
+    pointers.set(pointer, { key, value: location() });
+
+    const char = text[offset];
+    if (char === '{') {
+      advance();
+      skipWhitespace();
+      while (text[offset] !== '}') {
+        const keyLocation = location();
+        const name = readString();
+        skipWhitespace();
+        expect(':');
+        readValue(`${pointer}/${escapePointerToken(name)}`, keyLocation);
+        skipWhitespace();
+        if (text[offset] === '}') break;
+        expect(',');
+        skipWhitespace();
+        if (text[offset] === '}') fail('a property name');
+      }
+      advance();
+    } else if (char === '[') {
+      advance();
+      skipWhitespace();
+      let index = 0;
+      while (text[offset] !== ']') {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (text[offset] === ']') break;
+        expect(',');
+        skipWhitespace();
+        if (text[offset] === ']') fail('a value');
+      }
+      advance();
+    } else if (char === '"') {
+      readString();
+    } else {
+      readLiteral();
+    }
+  };
+
+  readValue('');
+  skipWhitespace();
+  if (offset < text.length) fail('end of input');
+  return pointers;
+}
+
+/**
+ * Location of the syntax error in a document JSON.parse rejected. Older Node
+ * versions only report an offset for some errors, so fall back to scanning.
+ */
+function locateSyntaxError(text, error) {
+  const position = /position (\d+)/.exec(error.message);
+  if (position) {
+    return getLocationFromOffset(text, Number(position[1]));
+  }
+  try {
+    buildSourceMap(text);
+  } catch (scanError) {
+    if (scanError instanceof JsonSyntaxError) return scanError.location;
+  }
+  return null;
+}
+
+/**
+ * Find the location for a pointer, falling back to the closest existing parent
+ * (a missing required property is reported on the object that lacks it)
+ */
+function locatePointer(sourceMap, pointer) {
+  let current = pointer || '';
+  for (;;) {
+    const entry = sourceMap.get(current);
+    if (entry) {
+      return entry.key || entry.value;
+    }
+    if (current === '') {
+      return null;
+    }
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+}
+
+module.exports = {
+  JsonSyntaxError,
+  buildSourceMap,
+  escapePointerToken,
+  getLocationFromOffset,
+  locatePointer,
+  locateSyntaxError
+};
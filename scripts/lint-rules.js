@@ -0,0 +1,328 @@
+/**
+ * Lint rules for entity score files
+ * Built-in and custom rules with ids, severities from .scorecardrc.json, and inline
+ * suppressions ({ rule, justification }) on the entity, an area or an entry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const scoring = require('./scoring');
+const { SEVERITIES } = require('./scoring-config');
+
+const DEFAULT_RC_FILE = '.scorecardrc.json';
+
+function hasText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function hasEvidence(hints) {
+  return Array.isArray(hints) ? hints.some(hasText) : hasText(hints);
+}
+
+function isAssessed(entry) {
+  return scoring.isScoredEntry({ ...entry, isOptional: false }) && typeof entry.scorePercent === 'number';
+}
+
+/**
+ * A rule has an id, a description, a default severity, default options and
+ * checkEntry(entry, context) and/or checkEntity(data, context). Findings are
+ * reported with context.report(message, pointer).
+ */
+const BUILT_IN_RULES = [
+  {
+    id: 'no-todo',
+    description: 'Self-assessment comments must not contain the template TODO placeholder',
+    severity: 'warn',
+    options: { fields: ['selfAssessmentComments'] },
+    checkEntry(entry, context) {
+      context.options.fields
+        .filter(field => typeof entry[field] === 'string' && entry[field].includes('TODO:'))
+        .forEach(field => context.report(`${field} contains TODO placeholder`, `${context.pointer}/${field}`));
+    }
+  },
+  {
+    id: 'score-category-mismatch',
+    description: 'scoreSuccess must match the success band of scorePercent',
+    severity: 'warn',
+    options: {},
+    checkEntry(entry, context) {
+      if (typeof entry.scorePercent !== 'number' || entry.scorePercent < 0 || entry.scorePercent > 100 || entry.scoreSuccess === 'unknown') {
+        return;
+      }
+      const expectedCategory = scoring.getScoreSuccess(entry.scorePercent, context.config) || 'unknown';
+      if (expectedCategory !== entry.scoreSuccess) {
+        context.report(`scorePercent (${entry.scorePercent}) suggests '${expectedCategory}' but scoreSuccess is '${entry.scoreSuccess}'`,
+          `${context.pointer}/scoreSuccess`);
+      }
+    }
+  },
+  {
+    id: 'self-score',
+    description: 'A selfScorePercent needs an agreed scorePercent next to it',
+    severity: 'warn',
+    options: {},
+    checkEntry(entry, context) {
+      if (typeof entry.selfScorePercent === 'number' && typeof entry.scorePercent !== 'number') {
+        context.report('selfScorePercent is set but the entry has no agreed scorePercent', `${context.pointer}/scorePercent`);
+      }
+    }
+  },
+  {
+    id: 'evidence-required-for-high-score',
+    description: 'Scores at or above minScore need evidence in scoreHints',
+    severity: 'warn',
+    options: { minScore: 80 },
+    checkEntry(entry, context) {
+      if (isAssessed(entry) && entry.scorePercent >= context.options.minScore && !hasEvidence(entry.scoreHints)) {
+        context.report(`Score ${entry.scorePercent} needs evidence (links, documents, dashboards) in scoreHints`, `${context.pointer}/scoreHints`);
+      }
+    }
+  },
+  {
+    id: 'details-min-length',
+    description: 'Assessed entries need details of at least minLength characters',
+    severity: 'warn',
+    options: { minLength: 20 },
+    checkEntry(entry, context) {
+      const length = typeof entry.details === 'string' ? entry.details.trim().length : 0;
+      if (isAssessed(entry) && length < context.options.minLength) {
+        context.report(`details has ${length} characters, at least ${context.options.minLength} are required`, `${context.pointer}/details`);
+      }
+    }
+  },
+  {
+    id: 'optional-needs-justification',
+    description: 'Entries marked optional must explain why in selfAssessmentComments',
+    severity: 'warn',
+    options: {},
+    checkEntry(entry, context) {
+      if (entry.isOptional === true && (!hasText(entry.selfAssessmentComments) || entry.selfAssessmentComments.includes('TODO:'))) {
+        context.report('Optional entries must explain in selfAssessmentComments why they do not apply', `${context.pointer}/isOptional`);
+      }
+    }
+  },
+  {
+    id: 'unassessed-area',
+    description: 'Areas with required entries of which none is assessed',
+    severity: 'warn',
+    options: {},
+    checkEntity(data, context) {
+      (Array.isArray(data.areaScores) ? data.areaScores : []).forEach((area, index) => {
+        if (!area || typeof area !== 'object') return;
+        const { coveragePercent, unknownEntries } = scoring.calculateAreaScore(area, context.config);
+        if (coveragePercent === 0) {
+          const effect = context.config.coverage.unknownEntries === 'zero' ? 'counts as 0' : 'is left out of the overall score';
+          context.report(`Area ${area.title} has ${unknownEntries} unknown entries and none assessed, so it ${effect}`, `/areaScores/${index}`);
+        }
+      });
+    }
+  },
+  {
+    id: 'improvement-plan-for-low-score',
+    description: 'Scores below belowScore need an improvementPlan',
+    severity: 'warn',
+    options: { belowScore: 80 },
+    checkEntry(entry, context) {
+      if (isAssessed(entry) && entry.scorePercent < context.options.belowScore && !hasText(entry.improvementPlan)) {
+        context.report(`Score ${entry.scorePercent} is below ${context.options.belowScore} and needs an improvementPlan`, `${context.pointer}/improvementPlan`);
+      }
+    }
+  }
+];
+
+function validateRule(rule, source) {
+  if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || rule.id === '') {
+    throw new Error(`Rule in ${source} must export an object with an id`);
+  }
+  if (typeof rule.checkEntry !== 'function' && typeof rule.checkEntity !== 'function') {
+    throw new Error(`Rule ${rule.id} in ${source} must define checkEntry or checkEntity`);
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} in ${source} has severity ${rule.severity}. Expected one of: ${SEVERITIES.join(', ')}`);
+  }
+  return rule;
+}
+
+function loadCustomRules(rulesDir) {
+  if (!fs.existsSync(rulesDir) || !fs.statSync(rulesDir).isDirectory()) {
+    throw new Error(`Rules directory not found: ${rulesDir}`);
+  }
+
+  return fs.readdirSync(rulesDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => {
+      const filePath = path.resolve(rulesDir, file);
+      let rule;
+      try {
+        rule = require(filePath);
+      } catch (error) {
+        throw new Error(`Could not load rule ${filePath}: ${error.message}`);
+      }
+      return validateRule(rule, filePath);
+    });
+}
+
+/**
+ * Load .scorecardrc.json. An explicit path must exist; otherwise the file in
+ * the working directory is used when present. rulesDir is resolved relative to it.
+ */
+function loadRuleConfig(rcPath) {
+  const filePath = rcPath || path.resolve(DEFAULT_RC_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (rcPath) {
+      throw new Error(`Rule config not found: ${rcPath}`);
+    }
+    return { rules: {}, rulesDir: null };
+  }
+
+  let rc;
+  try {
+    rc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid rule config ${filePath}: ${error.message}`);
+  }
+
+  return {
+    rules: rc.rules || {},
+    rulesDir: rc.rulesDir ? path.resolve(path.dirname(filePath), rc.rulesDir) : null
+  };
+}
+
+// "warn" or ["warn", { "minLength": 40 }], as in ESLint
+function parseRuleSetting(id, setting) {
+  const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Rule ${id} has severity ${severity}. Expected one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Options for rule ${id} must be an object`);
+  }
+  return { severity, options };
+}
+
+function isWithin(pointer, scope) {
+  return scope === '' || pointer === scope || pointer.startsWith(`${scope}/`);
+}
+
+class RuleEngine {
+  constructor(options = {}) {
+    this.config = options.config;
+    const rc = options.ruleConfig || loadRuleConfig(options.rcFile);
+    const rulesDir = options.rulesDir || rc.rulesDir;
+
+    const rules = [...BUILT_IN_RULES, ...(rulesDir ? loadCustomRules(rulesDir) : [])];
+    this.ruleIds = new Set();
+    rules.forEach(rule => {
+      if (this.ruleIds.has(rule.id)) {
+        throw new Error(`Duplicate rule id ${rule.id}`);
+      }
+      this.ruleIds.add(rule.id);
+    });
+
+    Object.keys(rc.rules).forEach(id => {
+      if (!this.ruleIds.has(id)) {
+        throw new Error(`Unknown rule ${id} in rule config. Known rules: ${[...this.ruleIds].join(', ')}`);
+      }
+    });
+
+    this.rules = rules.map(rule => {
+      const setting = rc.rules[rule.id] !== undefined ? parseRuleSetting(rule.id, rc.rules[rule.id]) : {};
+      return {
+        rule,
+        severity: setting.severity || rule.severity || 'warn',
+        options: { ...rule.options, ...setting.options }
+      };
+    }).filter(({ severity }) => severity !== 'off');
+  }
+
+  // Suppressions declared on the entity, its areas and their entries
+  collectSuppressions(data) {
+    const suppressions = [];
+    const collect = (owner, scope) => {
+      if (!owner || !Array.isArray(owner.suppressions)) return;
+      owner.suppressions.forEach((suppression, index) => {
+        if (suppression && typeof suppression.rule === 'string') {
+          suppressions.push({ rule: suppression.rule, scope, pointer: `${scope}/suppressions/${index}`, used: false });
+        }
+      });
+    };
+
+    collect(data, '');
+    (Array.isArray(data.areaScores) ? data.areaScores : []).forEach((area, areaIndex) => {
+      collect(area, `/areaScores/${areaIndex}`);
+      (area && Array.isArray(area.scoreEntries) ? area.scoreEntries : []).forEach((entry, entryIndex) => {
+        collect(entry, `/areaScores/${areaIndex}/scoreEntries/${entryIndex}`);
+      });
+    });
+    return suppressions;
+  }
+
+  /**
+   * Run every enabled rule. Returns findings with a severity (error or warn),
+   * a rule id, a JSON pointer and a message.
+   */
+  run(data) {
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+
+    const suppressions = this.collectSuppressions(data);
+    const findings = [];
+
+    this.rules.forEach(({ rule, severity, options }) => {
+      const report = (message, pointer) => {
+        const suppression = suppressions.find(candidate => candidate.rule === rule.id && isWithin(pointer, candidate.scope));
+        if (suppression) {
+          suppression.used = true;
+          return;
+        }
+        findings.push({ severity, rule: rule.id, path: pointer, message });
+      };
+      const createContext = pointer => ({
+        options,
+        config: this.config,
+        data,
+        pointer,
+        report: (message, at = pointer) => report(message, at)
+      });
+
+      try {
+        if (rule.checkEntity) {
+          rule.checkEntity(data, createContext(''));
+        }
+        if (rule.checkEntry && Array.isArray(data.areaScores)) {
+          data.areaScores.forEach((area, areaIndex) => {
+            if (!area || !Array.isArray(area.scoreEntries)) return;
+            area.scoreEntries.forEach((entry, entryIndex) => {
+              if (!entry || typeof entry !== 'object') return;
+              const context = createContext(`/areaScores/${areaIndex}/scoreEntries/${entryIndex}`);
+              rule.checkEntry(entry, { ...context, area });
+            });
+          });
+        }
+      } catch (error) {
+        findings.push({ severity: 'error', rule: rule.id, path: '', message: `Rule ${rule.id} failed: ${error.message}` });
+      }
+    });
+
+    // Suppressions of rules that are switched off are left alone
+    suppressions.forEach(suppression => {
+      if (!this.ruleIds.has(suppression.rule)) {
+        findings.push({ severity: 'warn', rule: 'suppression', path: `${suppression.pointer}/rule`, message: `Suppression names unknown rule ${suppression.rule}` });
+      } else if (!suppression.used && this.rules.some(({ rule }) => rule.id === suppression.rule)) {
+        findings.push({ severity: 'warn', rule: 'suppression', path: suppression.pointer, message: `Suppression of ${suppression.rule} is unused and can be removed` });
+      }
+    });
+
+    return findings;
+  }
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  DEFAULT_RC_FILE,
+  RuleEngine,
+  loadRuleConfig
+};
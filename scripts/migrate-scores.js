@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Template migration script
+ * Brings entity score files up to the current template of their rubric (picked by
+ * entity kind and tags, see templates/registry.json) while keeping their scores and comments
+ * Usage: node migrate-scores.js [options] [<entity-score-file.json> ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TemplateRegistry, loadTemplate, normalizeTitle } = require('./rubric');
+
+class ScoreMigrator {
+  constructor(options = {}) {
+    // An explicit template applies to every file, otherwise the registry picks one per entity
+    this.template = options.template || (options.templateFile ? loadTemplate(options.templateFile) : null);
+    this.registry = this.template ? null : TemplateRegistry.load(options.registryFile);
+    this.mapping = options.mapping || this.loadMapping(options.mappingFile);
+    this.dropUnknown = options.dropUnknown || false;
+    this.dryRun = options.dryRun || false;
+  }
+
+  /**
+   * Mapping file format: { "areas": { "<old id>": <template id> }, "entries": { "<old id>": <template id> } }
+   */
+  loadMapping(mappingFile) {
+    if (!mappingFile) {
+      return { areas: {}, entries: {} };
+    }
+    const mapping = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+    return { areas: mapping.areas || {}, entries: mapping.entries || {} };
+  }
+
+  matches(item, templateItem, idMapping) {
+    return item.id === templateItem.id ||
+      idMapping[String(item.id)] === templateItem.id ||
+      normalizeTitle(item.title) === normalizeTitle(templateItem.title);
+  }
+
+  getTemplate(data) {
+    return this.template || this.registry.resolve(data);
+  }
+
+  migrate(data) {
+    const template = this.getTemplate(data);
+    const report = { rubric: template.rubric || null, kept: [], added: [], retitled: [], unmatched: [] };
+    const sourceAreas = Array.isArray(data.areaScores) ? data.areaScores : [];
+    const usedAreas = new Set();
+    const usedEntries = new Set();
+    const areaBySource = new Map();
+
+    // Prefer exact id matches so a title match cannot steal another template item's source
+    const findSource = (candidates, templateItem, idMapping, used) => {
+      const available = candidates.filter(candidate => !used.has(candidate));
+      return available.find(candidate => candidate.id === templateItem.id) ||
+        available.find(candidate => this.matches(candidate, templateItem, idMapping)) ||
+        null;
+    };
+
+    const areaScores = template.areaScores.map(templateArea => {
+      const sourceArea = findSource(sourceAreas, templateArea, this.mapping.areas, usedAreas);
+      if (sourceArea) usedAreas.add(sourceArea);
+
+      const ownEntries = sourceArea && Array.isArray(sourceArea.scoreEntries) ? sourceArea.scoreEntries : [];
+      const allEntries = sourceAreas.flatMap(area => (Array.isArray(area.scoreEntries) ? area.scoreEntries : []));
+
+      const scoreEntries = templateArea.scoreEntries.map(templateEntry => {
+        const sourceEntry = findSource(ownEntries, templateEntry, this.mapping.entries, usedEntries) ||
+          findSource(allEntries, templateEntry, this.mapping.entries, usedEntries);
+
+        if (!sourceEntry) {
+          report.added.push(`${templateArea.title} / ${templateEntry.title}`);
+          return { ...templateEntry };
+        }
+
+        usedEntries.add(sourceEntry);
+        if (sourceEntry.id !== templateEntry.id || sourceEntry.title !== templateEntry.title) {
+          report.retitled.push(`${sourceEntry.id} "${sourceEntry.title}" → ${templateEntry.id} "${templateEntry.title}"`);
+        } else {
+          report.kept.push(`${templateArea.title} / ${templateEntry.title}`);
+        }
+
+        // Scores, comments and any other assessment fields come from the existing file
+        return { ...templateEntry, ...sourceEntry, id: templateEntry.id, title: templateEntry.title };
+      });
+
+      const migratedArea = {
+        ...(sourceArea || {}),
+        id: templateArea.id,
+        title: templateArea.title,
+        ...(sourceArea && sourceArea.weight === undefined && templateArea.weight !== undefined && { weight: templateArea.weight }),
+        scoreEntries
+      };
+      if (sourceArea) areaBySource.set(sourceArea, migratedArea);
+      return migratedArea;
+    });
+
+    // Entries the template does not know about are kept in place unless asked to drop them
+    sourceAreas.forEach(sourceArea => {
+      const leftovers = (sourceArea.scoreEntries || []).filter(entry => !usedEntries.has(entry));
+      leftovers.forEach(entry => report.unmatched.push(`${sourceArea.id} ${sourceArea.title} / ${entry.id} ${entry.title}`));
+
+      if (this.dropUnknown || leftovers.length === 0) return;
+
+      if (areaBySource.has(sourceArea)) {
+        areaBySource.get(sourceArea).scoreEntries.push(...leftovers);
+      } else {
+        areaScores.push({ ...sourceArea, scoreEntries: leftovers });
+      }
+    });
+
+    // The template fields lead and the migrated areas close the file, everything else keeps its place
+    const rest = Object.fromEntries(Object.entries(data)
+      .filter(([key]) => !['templateVersion', 'rubric', 'areaScores'].includes(key)));
+    const migrated = {
+      ...(template.templateVersion && { templateVersion: template.templateVersion }),
+      ...(template.rubric && { rubric: template.rubric }),
+      ...rest,
+      areaScores
+    };
+
+    return { data: migrated, report };
+  }
+
+  migrateFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const { data: migrated, report } = this.migrate(data);
+
+    if (!this.dryRun) {
+      fs.writeFileSync(filePath, JSON.stringify(migrated, null, 2), 'utf8');
+    }
+
+    return report;
+  }
+
+  printReport(filePath, report) {
+    console.log(`\n📄 ${filePath}${this.dryRun ? ' (dry run)' : ''}${report.rubric ? ` → rubric ${report.rubric}` : ''}`);
+    console.log(`   ✅ Kept: ${report.kept.length} entries`);
+    if (report.retitled.length > 0) {
+      console.log(`   🔀 Remapped: ${report.retitled.length} entries`);
+      report.retitled.forEach(item => console.log(`      ${item}`));
+    }
+    if (report.added.length > 0) {
+      console.log(`   🆕 Added from template (unknown): ${report.added.length} entries`);
+      report.added.forEach(item => console.log(`      ${item}`));
+    }
+    if (report.unmatched.length > 0) {
+      console.log(`   ${this.dropUnknown ? '🗑️  Dropped' : '⚠️  Not in template (kept)'}: ${report.unmatched.length} entries`);
+      report.unmatched.forEach(item => console.log(`      ${item}`));
+    }
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  let files = [];
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--template':
+        options.templateFile = args[++i];
+        break;
+      case '--registry':
+        options.registryFile = args[++i];
+        break;
+      case '--mapping':
+        options.mappingFile = args[++i];
+        break;
+      case '--drop-unknown':
+        options.dropUnknown = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        console.log(`
+Usage: node migrate-scores.js [options] [<entity-score-file.json> ...]
+
+Options:
+  --template <file>    Template to migrate every file to (default: picked per entity by the registry)
+  --registry <file>    Template registry by entity kind and tag (default: templates/registry.json)
+  --mapping <file>     JSON file mapping old area/entry ids to template ids
+  --drop-unknown       Drop entries that do not exist in the template
+  --dry-run            Report changes without writing files
+  --help               Show this help message
+
+Without files, every file in ./entity-scores is migrated.
+
+Examples:
+  node migrate-scores.js --dry-run
+  node migrate-scores.js --mapping id-mapping.json entity-scores/jenkins.json
+        `);
+        process.exit(0);
+        break;
+      default:
+        files.push(args[i]);
+    }
+  }
+
+  if (files.length === 0) {
+    files = fs.readdirSync('./entity-scores')
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join('./entity-scores', file));
+  }
+
+  try {
+    const migrator = new ScoreMigrator(options);
+    console.log(migrator.template
+      ? `🔄 Migrating ${files.length} files to template version ${migrator.template.templateVersion || '(unversioned)'}...`
+      : `🔄 Migrating ${files.length} files to the rubric of their entity kind and tags...`);
+
+    files.forEach(file => migrator.printReport(file, migrator.migrateFile(file)));
+
+    console.log('\n✅ Migration complete. Run "npm run calculate" to refresh the derived scores.');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { ScoreMigrator };
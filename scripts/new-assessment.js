@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Interactive self-assessment wizard
+ * Walks through every area and entry of the template, derives scoreSuccess from the
+ * score, saves after each answer so an interrupted assessment can be resumed, and
+ * validates the result before exiting
+ * Usage: node new-assessment.js [entity-name] [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const scoring = require('./scoring');
+const { loadScoringConfig } = require('./scoring-config');
+const { TemplateRegistry, loadTemplate } = require('./rubric');
+const { ScoreValidator } = require('./validate-scores');
+
+const TODO_MARKER = 'TODO:';
+
+class AssessmentWizard {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.config = options.config || loadScoringConfig(options.configFile);
+    this.templateFile = options.templateFile;
+    // Without an explicit template, the rubric is picked from the registry once the kind is known
+    this.template = options.templateFile ? loadTemplate(options.templateFile) : null;
+    this.registry = TemplateRegistry.load(options.registryFile);
+    this.tags = (options.tags || []).map(tag => tag.toLowerCase());
+    this.tags.forEach(tag => {
+      if (!this.registry.tags.includes(tag)) {
+        throw new Error(`Unknown rubric tag ${tag}. Registered tags: ${this.registry.tags.join(', ')}`);
+      }
+    });
+    this.entityName = options.entityName || null;
+    this.kind = options.kind || null;
+    this.namespace = options.namespace || null;
+    this.revisit = options.revisit || false;
+  }
+
+  print(message = '') {
+    this.output.write(`${message}\n`);
+  }
+
+  async ask(question, defaultValue = '') {
+    const suffix = defaultValue ? ` [${defaultValue}]` : '';
+    this.output.write(`${question}${suffix}: `);
+
+    const { value, done } = await this.lines.next();
+    if (done) {
+      throw new Error('Input closed');
+    }
+
+    const answer = value.trim();
+    return answer.length > 0 ? answer : defaultValue;
+  }
+
+  async run() {
+    const rl = readline.createInterface({ input: this.input, terminal: false });
+    this.lines = rl[Symbol.asyncIterator]();
+
+    let filePath = null;
+    let data = null;
+
+    try {
+      this.print('📝 New self-assessment');
+      this.print('Answer with a score (0-100), "unknown" (u) or "optional" (o). "q" saves and quits.\n');
+
+      const name = this.entityName || await this.ask('Entity name (as in catalog-info.yaml)');
+      if (!/^[a-z0-9A-Z][a-z0-9A-Z._-]*$/.test(name)) {
+        throw new Error(`Invalid entity name: ${name}`);
+      }
+
+      filePath = path.join(this.entityScoresDir, `${name}.json`);
+      data = await this.loadOrCreate(filePath, name);
+
+      const finished = await this.walkEntries(data, filePath);
+      this.save(filePath, data);
+
+      if (!finished) {
+        this.print(`\n💾 Progress saved to ${filePath}. Run the wizard again to resume.`);
+        return { filePath, completed: false, valid: null };
+      }
+
+      this.print(`\n💾 Saved ${filePath}`);
+      return { filePath, completed: true, valid: this.validate(filePath) };
+    } catch (error) {
+      if (error.message === 'Input closed' && filePath && data) {
+        this.save(filePath, data);
+        this.print(`\n💾 Input ended, progress saved to ${filePath}`);
+        return { filePath, completed: false, valid: null };
+      }
+      throw error;
+    } finally {
+      rl.close();
+    }
+  }
+
+  async loadOrCreate(filePath, name) {
+    if (fs.existsSync(filePath)) {
+      const existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const pending = this.countPending(existing);
+      this.print(`📂 Resuming ${filePath} (${pending} entries left)`);
+      return existing;
+    }
+
+    const kind = (this.kind || await this.ask('Entity kind', this.template ? this.template.entityRef.kind : 'component')).toLowerCase();
+    const namespace = this.namespace || await this.ask('Namespace', 'default');
+    const template = this.template || this.registry.getTemplate(kind, [...this.tags].sort());
+    if (template.rubric) {
+      this.print(`📐 Using the ${template.rubric} rubric`);
+    }
+
+    const data = JSON.parse(JSON.stringify(template));
+    data.entityRef = { kind, name, namespace };
+    data.generatedDateTimeUtc = new Date().toISOString();
+    return data;
+  }
+
+  isAnswered(entry) {
+    return typeof entry.selfAssessmentComments === 'string' &&
+      entry.selfAssessmentComments.length > 0 &&
+      !entry.selfAssessmentComments.includes(TODO_MARKER);
+  }
+
+  countPending(data) {
+    return data.areaScores.reduce(
+      (count, area) => count + area.scoreEntries.filter(entry => !this.isAnswered(entry)).length, 0
+    );
+  }
+
+  async walkEntries(data, filePath) {
+    for (const area of data.areaScores) {
+      const entries = area.scoreEntries.filter(entry => this.revisit || !this.isAnswered(entry));
+      if (entries.length === 0) continue;
+
+      this.print(`\n━━━ ${area.title} ━━━`);
+
+      for (const entry of entries) {
+        const result = await this.askEntry(entry);
+        if (result === 'quit') {
+          return false;
+        }
+        this.save(filePath, data);
+      }
+    }
+
+    return true;
+  }
+
+  async askEntry(entry) {
+    this.print(`\n▶ ${entry.title}${entry.isOptional ? ' (optional)' : ''}`);
+    if (entry.details) this.print(`  ${entry.details}`);
+    const hints = Array.isArray(entry.scoreHints) ? entry.scoreHints.join('; ') : entry.scoreHints;
+    if (hints) this.print(`  💡 ${hints}`);
+
+    const current = typeof entry.scorePercent === 'number' ? String(entry.scorePercent) : '';
+    let answer;
+    for (;;) {
+      answer = (await this.ask('  Score', current)).toLowerCase();
+      if (answer === 'q') return 'quit';
+      if (['u', 'unknown', 'o', 'optional'].includes(answer)) break;
+
+      const percent = Number(answer);
+      if (answer !== '' && Number.isFinite(percent) && percent >= 0 && percent <= 100) break;
+      this.print('  ⚠️  Enter a number between 0 and 100, "u", "o" or "q"');
+    }
+
+    if (answer === 'u' || answer === 'unknown') {
+      entry.scorePercent = null;
+      entry.scoreSuccess = 'unknown';
+    } else if (answer === 'o' || answer === 'optional') {
+      entry.isOptional = true;
+      entry.scorePercent = null;
+      entry.scoreSuccess = 'unknown';
+    } else {
+      entry.scorePercent = Number(answer);
+      entry.scoreSuccess = scoring.getScoreSuccess(entry.scorePercent, this.config) || 'unknown';
+    }
+
+    const existingComments = this.isAnswered(entry) ? entry.selfAssessmentComments : '';
+    let comments = '';
+    while (comments.length === 0) {
+      comments = await this.ask('  Comments (evidence, links)', existingComments);
+    }
+    entry.selfAssessmentComments = comments;
+
+    if (typeof entry.scorePercent === 'number' && entry.scorePercent < 80) {
+      entry.improvementPlan = await this.ask('  Improvement plan', entry.improvementPlan || '');
+    }
+
+    this.print(`  ✅ ${entry.scoreSuccess}`);
+    return 'answered';
+  }
+
+  save(filePath, data) {
+    if (!fs.existsSync(path.dirname(filePath))) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  }
+
+  validate(filePath) {
+    this.print('');
+    const validator = new ScoreValidator({ config: this.config, templateFile: this.templateFile, registry: this.registry });
+    validator.validateFile(filePath);
+    return validator.printResults();
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kind':
+        options.kind = args[++i];
+        break;
+      case '--namespace':
+        options.namespace = args[++i];
+        break;
+      case '--tags':
+        options.tags = args[++i].split(',').map(tag => tag.trim()).filter(Boolean);
+        break;
+      case '--template':
+        options.templateFile = args[++i];
+        break;
+      case '--registry':
+        options.registryFile = args[++i];
+        break;
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--revisit':
+        options.revisit = true;
+        break;
+      case '--help':
+        console.log(`
+Usage: node new-assessment.js [entity-name] [options]
+
+Options:
+  --kind <kind>                Entity kind (default: asked, component)
+  --namespace <namespace>      Entity namespace (default: asked, default)
+  --tags <tag,...>             Rubric overlays such as legacy or third-party, which make items optional by default
+  --template <file>            Template to start from (default: the registry's rubric for the kind and tags)
+  --registry <file>            Template registry (default: templates/registry.json)
+  --entity-scores-dir <dir>    Where to write the file (default: ./entity-scores)
+  --config <file>              Scoring policy file (default: ./scorecard.config.json if present)
+  --revisit                    Ask again for entries that are already answered
+  --help                       Show this help message
+
+Examples:
+  node new-assessment.js
+  node new-assessment.js my-service --kind component
+  node new-assessment.js payments-api --kind api
+  node new-assessment.js old-billing --kind component --tags legacy
+        `);
+        process.exit(0);
+        break;
+      default:
+        options.entityName = args[i];
+    }
+  }
+
+  let wizard;
+  try {
+    wizard = new AssessmentWizard(options);
+  } catch (error) {
+    console.error('❌ Could not start the assessment wizard:', error.message);
+    process.exit(1);
+  }
+
+  wizard.run()
+    .then(result => {
+      process.exit(result.valid === false ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Assessment wizard failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { AssessmentWizard };
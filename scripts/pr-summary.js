@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * PR review summary
+ * Compares changed entity score files with their base version and produces a markdown
+ * report of overall, area and entry score changes for the review meeting
+ * Usage: node pr-summary.js --base-ref <ref> <entity-score-file.json> [...]
+ *    or: node pr-summary.js --base <old.json> <new.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ScoreCalculator } = require('./calculate-scores');
+const { loadScoringConfig } = require('./scoring-config');
+
+// Fields that carry the evidence behind a score
+const EVIDENCE_FIELDS = ['scoreHints', 'details'];
+const COMMENT_FIELDS = ['selfAssessmentComments', 'improvementPlan'];
+
+class PRSummaryGenerator {
+  constructor(options = {}) {
+    this.baseRef = options.baseRef || null;
+    this.baseFile = options.baseFile || null;
+    this.config = options.config || loadScoringConfig(options.configFile);
+    this.largeJumpThreshold = options.largeJumpThreshold !== undefined
+      ? options.largeJumpThreshold
+      : this.config.review.largeJumpThreshold;
+    this.calculator = new ScoreCalculator({ config: this.config, recordHistory: false });
+  }
+
+  loadBaseData(filePath) {
+    if (this.baseFile) {
+      return JSON.parse(fs.readFileSync(this.baseFile, 'utf8'));
+    }
+
+    if (!this.baseRef) {
+      throw new Error('Either a base ref or a base file is required');
+    }
+
+    let content;
+    try {
+      // "./" makes git resolve the path relative to the working directory
+      const relativePath = `./${path.relative(process.cwd(), path.resolve(filePath))}`;
+      content = execFileSync('git', ['show', `${this.baseRef}:${relativePath}`], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+    } catch (error) {
+      // The file does not exist at the base ref, i.e. a new assessment
+      return null;
+    }
+    return JSON.parse(content);
+  }
+
+  compareFile(filePath) {
+    const newData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const oldData = this.loadBaseData(filePath);
+    return this.compareData(oldData, newData, filePath);
+  }
+
+  compareData(oldData, newData, filePath) {
+    const newScore = this.calculator.processEntityData(newData);
+    const oldScore = oldData ? this.calculator.processEntityData(oldData) : null;
+
+    const areas = newData.areaScores.map((newArea, index) => {
+      const oldArea = oldData ? this.findById(oldData.areaScores, newArea) : null;
+      const oldAreaScore = oldArea ? oldScore.areaScores[oldData.areaScores.indexOf(oldArea)] : null;
+      return {
+        id: newArea.id,
+        title: newArea.title,
+        oldScorePercent: oldAreaScore ? oldAreaScore.scorePercent : null,
+        newScorePercent: newScore.areaScores[index].scorePercent,
+        entries: this.compareEntries(oldArea, newArea)
+      };
+    });
+
+    const removedAreas = oldData
+      ? oldData.areaScores.filter(oldArea => !this.findById(newData.areaScores, oldArea))
+      : [];
+
+    return {
+      file: filePath,
+      entityRef: newScore.entityRef,
+      isNew: oldData === null,
+      oldScorePercent: oldScore ? oldScore.scorePercent : null,
+      newScorePercent: newScore.scorePercent,
+      newScoreSuccess: newScore.scoreSuccess,
+      areas,
+      removedAreas: removedAreas.map(area => ({ id: area.id, title: area.title }))
+    };
+  }
+
+  findById(items, target) {
+    if (!Array.isArray(items)) return null;
+    return items.find(item => item.id === target.id) ||
+      items.find(item => item.title === target.title) ||
+      null;
+  }
+
+  compareEntries(oldArea, newArea) {
+    const changes = [];
+
+    (newArea.scoreEntries || []).forEach(newEntry => {
+      const oldEntry = oldArea ? this.findById(oldArea.scoreEntries, newEntry) : null;
+      const oldPercent = oldEntry ? this.entryScore(oldEntry) : null;
+      const newPercent = this.entryScore(newEntry);
+
+      const scoreChanged = oldPercent !== newPercent;
+      const commentsChanged = !oldEntry || [...EVIDENCE_FIELDS, ...COMMENT_FIELDS]
+        .some(field => !this.sameValue(oldEntry[field], newEntry[field]));
+
+      if (!scoreChanged && !commentsChanged) {
+        return;
+      }
+
+      const delta = oldPercent !== null && newPercent !== null ? newPercent - oldPercent : null;
+      const evidenceChanged = !oldEntry || EVIDENCE_FIELDS
+        .some(field => !this.sameValue(oldEntry[field], newEntry[field]));
+
+      changes.push({
+        id: newEntry.id,
+        title: newEntry.title,
+        oldScorePercent: oldPercent,
+        newScorePercent: newPercent,
+        delta,
+        comments: newEntry.selfAssessmentComments || '',
+        largeJump: delta !== null && Math.abs(delta) >= this.largeJumpThreshold && !evidenceChanged
+      });
+    });
+
+    return changes;
+  }
+
+  entryScore(entry) {
+    if (entry.scoreSuccess === 'unknown' || typeof entry.scorePercent !== 'number') {
+      return null;
+    }
+    return entry.scorePercent;
+  }
+
+  sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  }
+
+  formatScore(percent) {
+    return percent === null || percent === undefined ? '—' : `${percent}%`;
+  }
+
+  formatDelta(oldPercent, newPercent) {
+    if (oldPercent === null || newPercent === null) return '';
+    const delta = newPercent - oldPercent;
+    if (delta === 0) return '±0';
+    return delta > 0 ? `+${delta}` : `${delta}`;
+  }
+
+  escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  generateMarkdown(comparisons) {
+    const lines = ['## 📋 Score Review Summary', ''];
+
+    if (comparisons.length === 0) {
+      lines.push('No entity score files changed.');
+      return lines.join('\n');
+    }
+
+    comparisons.forEach(comparison => {
+      const flagged = comparison.areas.reduce(
+        (count, area) => count + area.entries.filter(entry => entry.largeJump).length, 0
+      );
+
+      lines.push(`### ${comparison.entityRef.name}${comparison.isNew ? ' (new assessment)' : ''}`);
+      lines.push('');
+      lines.push(`**Overall:** ${this.formatScore(comparison.oldScorePercent)} → **${this.formatScore(comparison.newScorePercent)}** ${this.formatDelta(comparison.oldScorePercent, comparison.newScorePercent)} (${comparison.newScoreSuccess})`);
+      lines.push('');
+      lines.push('| Area | Before | After | Change |');
+      lines.push('| --- | --- | --- | --- |');
+      comparison.areas.forEach(area => {
+        lines.push(`| ${this.escapeCell(area.title)} | ${this.formatScore(area.oldScorePercent)} | ${this.formatScore(area.newScorePercent)} | ${this.formatDelta(area.oldScorePercent, area.newScorePercent)} |`);
+      });
+      comparison.removedAreas.forEach(area => {
+        lines.push(`| ~~${this.escapeCell(area.title)}~~ | | removed | |`);
+      });
+      lines.push('');
+
+      const changedEntries = comparison.areas.flatMap(area =>
+        area.entries.map(entry => ({ ...entry, areaTitle: area.title }))
+      );
+
+      if (changedEntries.length > 0) {
+        lines.push('<details><summary>Changed entries</summary>');
+        lines.push('');
+        lines.push('| Area | Entry | Before | After | Change | Comments |');
+        lines.push('| --- | --- | --- | --- | --- | --- |');
+        changedEntries.forEach(entry => {
+          const flag = entry.largeJump ? ' ⚠️' : '';
+          lines.push(`| ${this.escapeCell(entry.areaTitle)} | ${this.escapeCell(entry.title)} | ${this.formatScore(entry.oldScorePercent)} | ${this.formatScore(entry.newScorePercent)} | ${this.formatDelta(entry.oldScorePercent, entry.newScorePercent)}${flag} | ${this.escapeCell(entry.comments)} |`);
+        });
+        lines.push('');
+        lines.push('</details>');
+        lines.push('');
+      }
+
+      if (flagged > 0) {
+        lines.push(`> ⚠️ ${flagged} ${flagged === 1 ? 'entry changed' : 'entries changed'} by ${this.largeJumpThreshold}+ points without any change to \`scoreHints\` or \`details\`. Please bring evidence to the review meeting.`);
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  const files = [];
+  let outputFile = null;
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--base-ref':
+        options.baseRef = args[++i];
+        break;
+      case '--base':
+        options.baseFile = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--threshold':
+        options.largeJumpThreshold = Number(args[++i]);
+        break;
+      case '--output':
+        outputFile = args[++i];
+        break;
+      case '--help':
+        console.log(`
+Usage: node pr-summary.js [options] <entity-score-file.json> [...]
+
+Options:
+  --base-ref <ref>      Git ref holding the base version of each file (e.g. origin/main)
+  --base <file>         Base version as a file path (single entity file only)
+  --config <file>       Scoring policy file (default: ./scorecard.config.json if present)
+  --threshold <points>  Flag entry changes of at least this size without evidence change
+  --output <file>       Write the markdown report to a file instead of stdout
+  --help                Show this help message
+
+Examples:
+  node pr-summary.js --base-ref origin/main entity-scores/jenkins.json
+  node pr-summary.js --base old/jenkins.json entity-scores/jenkins.json
+        `);
+        process.exit(0);
+        break;
+      default:
+        files.push(args[i]);
+    }
+  }
+
+  if ((!options.baseRef && !options.baseFile) || files.length === 0 || (options.baseFile && files.length > 1)) {
+    console.error('Usage: node pr-summary.js --base-ref <ref> <entity-score-file.json> [...]');
+    console.error('   or: node pr-summary.js --base <old.json> <new.json>');
+    process.exit(1);
+  }
+
+  try {
+    const generator = new PRSummaryGenerator(options);
+    const markdown = generator.generateMarkdown(files.map(file => generator.compareFile(file)));
+
+    if (outputFile) {
+      fs.writeFileSync(outputFile, `${markdown}\n`, 'utf8');
+      console.log(`📝 Written PR summary to ${outputFile}`);
+    } else {
+      console.log(markdown);
+    }
+  } catch (error) {
+    console.error('❌ Could not generate PR summary:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { PRSummaryGenerator };
@@ -8,15 +8,58 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const { ScoreValidator } = require('./validate-scores');
 const { ScoreCalculator } = require('./calculate-scores');
+const { ScoreHistory } = require('./score-history');
+const { loadScoringConfig } = require('./scoring-config');
+const signOff = require('./sign-off');
+const { getEntityRefError } = require('./catalog');
+
+// Matches files in the entity-scores directory ending with .json
+const ENTITY_SCORE_PATTERN = /^entity-scores\/[^/]+\.json$/;
+
+const PUBLISH_MODES = ['push', 'pr', 'none'];
+
+// Everything the calculator and the history moves write; reports/ is not committed
+const GENERATED_PATHS = ['all.json', 'entity-scores', 'dist'];
+
+const COMMIT_MESSAGE = '🤖 Update aggregated scores from entity assessments [skip ci]';
+
+const GIT_STATUSES = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'added',
+  T: 'modified'
+};
 
 class PRMergeProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.changedFiles = [];
+    this.changes = [];
     this.errors = [];
     this.warnings = [];
+    this.config = options.config || loadScoringConfig(options.configFile);
+    this.baseSha = options.baseSha || null;
+    this.historyDir = options.historyDir;
+    this.reviewsFile = options.reviewsFile || null;
+    this.reviewers = [];
+
+    // push: commit onto the target branch; pr: push a bot branch and open a PR; none: leave the files uncommitted
+    this.publishMode = options.publishMode || 'push';
+    this.remote = options.remote || 'origin';
+    this.targetBranch = options.targetBranch || null;
+    this.botBranch = options.botBranch || null;
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3;
+
+    if (!PUBLISH_MODES.includes(this.publishMode)) {
+      throw new Error(`Publish mode must be one of: ${PUBLISH_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error('Max attempts must be a positive integer');
+    }
   }
 
   async processPRMerge() {
@@ -27,15 +70,16 @@ class PRMergeProcessor {
       this.getChangedFiles();
       
       // Filter for entity score files
+      const entityChanges = this.getEntityScoreChanges();
       const entityScoreFiles = this.filterEntityScoreFiles();
       
-      if (entityScoreFiles.length === 0) {
+      if (entityScoreFiles.length === 0 && entityChanges.length === 0) {
         console.log('ℹ️  No entity score files changed in this PR');
         return { success: true, message: 'No score files to process' };
       }
 
-      console.log(`📝 Processing ${entityScoreFiles.length} changed entity score files:`);
-      entityScoreFiles.forEach(file => console.log(`   - ${file}`));
+      console.log(`📝 Processing ${entityChanges.length} entity score changes:`);
+      entityChanges.forEach(change => console.log(`   - ${this.describeChange(change)}`));
 
       // Validate all changed score files
       const validationResult = await this.validateChangedFiles(entityScoreFiles);
@@ -43,21 +87,28 @@ class PRMergeProcessor {
         return validationResult;
       }
 
-      // Calculate and update scores
-      const calculationResult = await this.updateScores();
-      if (!calculationResult.success) {
-        return calculationResult;
+      // Areas changed by this PR need the approvals their quorum asks for
+      const signOffResult = this.checkSignOff(entityChanges, entityScoreFiles);
+      if (!signOffResult.success) {
+        return signOffResult;
       }
 
-      // Commit updated all.json if there are changes
-      await this.commitUpdatedScores();
+      // Calculate, commit and publish; a rejected push is retried on top of the new upstream
+      const publishResult = await this.publishScores(entityChanges, entityScoreFiles);
+      if (!publishResult.success) {
+        return publishResult;
+      }
+      const calculationResult = publishResult.calculation;
 
       console.log('✅ PR merge processing completed successfully!');
       return { 
         success: true, 
         message: `Processed ${entityScoreFiles.length} entity score files`,
         processedFiles: entityScoreFiles,
-        updatedScores: calculationResult.totalEntities
+        changes: entityChanges,
+        reviewers: this.reviewers,
+        updatedScores: calculationResult.totalEntities,
+        publish: publishResult.publish
       };
 
     } catch (error) {
@@ -69,28 +120,123 @@ class PRMergeProcessor {
     }
   }
 
+  /**
+   * Check the sign-off quorum of an open PR without calculating or writing anything, so the
+   * PR validation workflow can block the merge until the approvals are in
+   */
+  async checkPullRequestSignOff() {
+    console.log('🔄 Checking PR sign-off for score updates...');
+
+    try {
+      this.getChangedFiles();
+
+      const entityChanges = this.getEntityScoreChanges();
+      const entityScoreFiles = this.filterEntityScoreFiles();
+
+      if (entityScoreFiles.length === 0 && entityChanges.length === 0) {
+        console.log('ℹ️  No entity score files changed in this PR');
+        return { success: true, message: 'No score files to sign off', quorum: { met: true, areas: [] }, reviewers: [], signOffOnly: true };
+      }
+
+      const signOffResult = this.checkSignOff(entityChanges, entityScoreFiles);
+      return { ...signOffResult, reviewers: this.reviewers, signOffOnly: true };
+    } catch (error) {
+      console.error('❌ Error checking PR sign-off:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        signOffOnly: true
+      };
+    }
+  }
+
+  getBaseSha() {
+    if (this.baseSha) {
+      return this.baseSha;
+    }
+
+    // The PR base commit, so multi-commit PRs are diffed as a whole
+    const eventData = this.readEventData();
+    if (eventData) {
+      if (eventData.pull_request && eventData.pull_request.base && eventData.pull_request.base.sha) {
+        return eventData.pull_request.base.sha;
+      }
+      if (eventData.before && !/^0+$/.test(eventData.before)) {
+        return eventData.before;
+      }
+    }
+
+    return 'HEAD~1';
+  }
+
+  readEventData() {
+    if (!process.env.GITHUB_EVENT_PATH) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
+    } catch (error) {
+      console.warn('⚠️  Could not read GitHub event data:', error.message);
+      return null;
+    }
+  }
+
   getChangedFiles() {
     try {
-      // Get the list of changed files in the PR
-      // This assumes the script runs in a GitHub Action with proper git setup
-      const output = execSync('git diff --name-only HEAD~1 HEAD', { encoding: 'utf8' });
-      this.changedFiles = output.trim().split('\n').filter(file => file.length > 0);
+      const baseSha = this.getBaseSha();
+      const output = execFileSync('git', ['diff', '--name-status', '-M', baseSha, 'HEAD'], { encoding: 'utf8' });
+      this.baseSha = baseSha;
+      this.changes = this.parseNameStatus(output);
+      this.changedFiles = this.changes.map(change => change.file);
       
-      console.log(`📋 Changed files in PR: ${this.changedFiles.length}`);
-      if (this.changedFiles.length <= 10) {
-        this.changedFiles.forEach(file => console.log(`   - ${file}`));
+      console.log(`📋 Changed files since ${baseSha}: ${this.changedFiles.length}`);
+      if (this.changes.length <= 10) {
+        this.changes.forEach(change => console.log(`   - ${this.describeChange(change)}`));
       }
     } catch (error) {
       console.warn('⚠️  Could not get changed files from git. Processing all entity score files.');
       this.changedFiles = [];
+      this.changes = [];
     }
   }
 
+  parseNameStatus(output) {
+    return output.split('\n').filter(line => line.trim().length > 0).map(line => {
+      const [status, ...files] = line.split('\t');
+      const type = GIT_STATUSES[status.charAt(0)] || 'modified';
+
+      if (status.charAt(0) === 'R' || status.charAt(0) === 'C') {
+        return { type, previousFile: type === 'renamed' ? files[0] : undefined, file: files[1] };
+      }
+      return { type, file: files[0] };
+    });
+  }
+
+  getEntityScoreChanges() {
+    return this.changes.flatMap(change => {
+      const isEntity = ENTITY_SCORE_PATTERN.test(change.file);
+      if (change.type !== 'renamed') {
+        return isEntity ? [change] : [];
+      }
+
+      // Moves into or out of entity-scores are additions or deletions
+      const wasEntity = ENTITY_SCORE_PATTERN.test(change.previousFile);
+      if (isEntity && wasEntity) return [change];
+      if (isEntity) return [{ type: 'added', file: change.file }];
+      if (wasEntity) return [{ type: 'deleted', file: change.previousFile }];
+      return [];
+    });
+  }
+
+  describeChange(change) {
+    return change.type === 'renamed'
+      ? `renamed: ${change.previousFile} → ${change.file}`
+      : `${change.type}: ${change.file}`;
+  }
+
   filterEntityScoreFiles() {
-    // Matches files in the entity-scores directory ending with .json
-    const entityScorePattern = /^entity-scores\/[^/]+\.json$/;
-    
-    if (this.changedFiles.length === 0) {
+    if (this.changes.length === 0) {
       // If we can't get changed files, process all entity score files
       const entityScoresDir = './entity-scores';
       if (fs.existsSync(entityScoresDir)) {
@@ -101,21 +247,145 @@ class PRMergeProcessor {
       return [];
     }
 
-    console.log('🔍 Debugging file filtering:');
-    this.changedFiles.forEach(file => {
-      const matches = entityScorePattern.test(file);
-      const exists = fs.existsSync(file);
-      console.log(`   File: ${file} | Pattern match: ${matches} | Exists: ${exists}`);
-    });
-
-    let changedFiles = this.changedFiles
-      .filter(file => entityScorePattern.test(file))
-      .filter(file => fs.existsSync(file)); // Only existing files
+    const changedFiles = this.getEntityScoreChanges()
+      .filter(change => change.type !== 'deleted')
+      .map(change => change.file)
+      .filter(file => fs.existsSync(file));
     
-      console.log(`📂 Found ${changedFiles.length} changed entity score files`);
+    console.log(`📂 Found ${changedFiles.length} changed entity score files`);
     return changedFiles;
   }
 
+  readBaseFile(file) {
+    try {
+      const content = execFileSync('git', ['show', `${this.baseSha}:${file}`], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readBaseEntityRef(file) {
+    const data = this.readBaseFile(file);
+    return (data && data.entityRef) || null;
+  }
+
+  readEntityRef(file) {
+    const data = this.readFile(file);
+    return (data && data.entityRef) || null;
+  }
+
+  /**
+   * Titles of the areas a change adds, edits or removes. A file without a base version
+   * counts as changed in every area.
+   */
+  getChangedAreas(change) {
+    const current = change.type === 'deleted' ? null : this.readFile(change.file);
+    const base = change.type === 'added' ? null : this.readBaseFile(change.previousFile || change.file);
+    const areasOf = data => (data && Array.isArray(data.areaScores) ? data.areaScores : []);
+
+    const baseAreas = new Map(areasOf(base).map(area => [area.title, JSON.stringify(area)]));
+    const currentTitles = new Set(areasOf(current).map(area => area.title));
+
+    const changed = areasOf(current)
+      .filter(area => baseAreas.get(area.title) !== JSON.stringify(area))
+      .map(area => area.title);
+    const removed = [...baseAreas.keys()].filter(title => !currentTitles.has(title));
+    return [...changed, ...removed];
+  }
+
+  /**
+   * Reviewer records of the PR approvals, from the event payload and --reviews-file
+   */
+  getSignOffReviewers() {
+    let extraReviews = null;
+    if (this.reviewsFile) {
+      try {
+        extraReviews = JSON.parse(fs.readFileSync(this.reviewsFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read reviews file ${this.reviewsFile}: ${error.message}`);
+      }
+    }
+
+    const reviews = signOff.collectReviews(this.readEventData(), extraReviews);
+    return signOff.getApprovals(reviews).map(approval => signOff.getReviewerRecord(approval, this.config));
+  }
+
+  checkSignOff(entityChanges, entityScoreFiles) {
+    console.log('\\n✍️  Checking review sign-off...');
+
+    this.reviewers = this.getSignOffReviewers();
+    if (this.reviewers.length > 0) {
+      console.log(`👥 Approved by: ${signOff.formatReviewer(this.reviewers)}`);
+    }
+
+    // Without a diff every processed file counts as changed
+    const areas = entityChanges.length > 0
+      ? entityChanges.flatMap(change => this.getChangedAreas(change))
+      : entityScoreFiles.flatMap(file => this.getChangedAreas({ type: 'added', file }));
+    const quorum = signOff.checkQuorum(areas, this.reviewers, this.config);
+
+    quorum.areas.forEach(result => {
+      console.log(`   ${result.missing === 0 ? '✅' : '❌'} ${signOff.describeQuorum(result)}`);
+    });
+
+    if (!quorum.met) {
+      return {
+        success: false,
+        error: 'Sign-off quorum not met, the scores were not published.',
+        quorum
+      };
+    }
+
+    console.log('✅ Sign-off quorum met');
+    return { success: true, quorum };
+  }
+
+  applyHistoryChanges(changes) {
+    const history = new ScoreHistory({ historyDir: this.historyDir });
+
+    changes.forEach(change => {
+      if (change.type === 'renamed') {
+        const fromRef = this.readBaseEntityRef(change.previousFile);
+        const toRef = this.readEntityRef(change.file);
+        change.previousEntityRef = fromRef;
+        change.entityRef = toRef;
+        if (this.isHistoryRef(fromRef, change.previousFile) && this.isHistoryRef(toRef, change.file) && history.moveHistory(fromRef, toRef)) {
+          console.log(`🕑 Moved score history of ${fromRef.name} to ${toRef.name}`);
+        }
+      } else if (change.type === 'deleted') {
+        const entityRef = this.readBaseEntityRef(change.file);
+        change.entityRef = entityRef;
+        if (this.isHistoryRef(entityRef, change.file) && history.archiveHistory(entityRef)) {
+          console.log(`🕑 Archived score history of ${entityRef.name}`);
+        }
+      } else {
+        change.entityRef = this.readEntityRef(change.file);
+      }
+    });
+  }
+
+  // History is stored by entity ref, so a file whose ref is missing or malformed has none to move
+  isHistoryRef(entityRef, file) {
+    const refError = getEntityRefError(entityRef);
+    if (refError) {
+      console.warn(`⚠️  Leaving score history of ${file} alone: ${refError}`);
+      return false;
+    }
+    return true;
+  }
+
   async validateChangedFiles(files) {
     console.log('\\n🔍 Validating changed entity score files...');
     
@@ -124,7 +394,7 @@ class PRMergeProcessor {
     for (const file of files) {
       console.log(`\\n📋 Validating: ${file}`);
       
-      const validator = new ScoreValidator();
+      const validator = new ScoreValidator({ config: this.config });
       const isValid = validator.validateFile(file);
       
       if (!isValid) {
@@ -147,19 +417,23 @@ class PRMergeProcessor {
     return { success: true };
   }
 
-  async updateScores() {
+  async updateScores(changedFiles) {
     console.log('\\n🔢 Calculating and updating scores...');
     
-    // Get GitHub username from environment or git config
-    const reviewer = this.getReviewer();
-    console.log(`📝 Reviewer: ${reviewer}`);
+    // The approving reviewers, or the GitHub username from the environment or git config
+    const reviewer = this.reviewers.length > 0 ? this.reviewers : this.getReviewer();
+    console.log(`📝 Reviewer: ${signOff.formatReviewer(reviewer)}`);
     
     const calculator = new ScoreCalculator({
       entityScoresDir: './entity-scores',
       outputFile: './all.json',
+      historyDir: this.historyDir,
       verbose: true,
       reviewer: reviewer,
-      updateTimestamp: true
+      updateTimestamp: true,
+      // Only entities changed by this PR get a new review date and reviewer
+      changedFiles,
+      config: this.config
     });
 
     try {
@@ -183,46 +457,170 @@ class PRMergeProcessor {
     }
   }
 
-  async commitUpdatedScores() {
-    console.log('\\n📤 Committing updated scores...');
-    
-    try {
-      // Check if all.json has changes
-      const hasChanges = this.hasGitChanges('./all.json');
-      
-      if (!hasChanges) {
-        console.log('ℹ️  No changes to all.json, skipping commit');
-        return;
+  /**
+   * Move history, calculate and publish. In push mode a rejected push drops the generated
+   * commit, rebases onto the fetched target branch and recalculates, so scores merged in
+   * the meantime are not overwritten; it gives up after maxAttempts.
+   */
+  async publishScores(entityChanges, entityScoreFiles) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      // Move the history of renamed entities and archive the history of deleted ones
+      this.applyHistoryChanges(entityChanges);
+
+      // Calculate and update scores
+      const calculation = await this.updateScores(this.changes.length > 0 ? entityScoreFiles.filter(file => fs.existsSync(file)) : undefined);
+      if (!calculation.success) {
+        return calculation;
       }
 
-      // Configure git if needed (for GitHub Actions)
-      execSync('git config --global user.email "action@github.com"', { stdio: 'inherit' });
-      execSync('git config --global user.name "GitHub Action"', { stdio: 'inherit' });
-      
-      // Add and commit the updated all.json
-      execSync('git add all.json', { stdio: 'inherit' });
-      execSync('git commit -m "🤖 Update aggregated scores from entity assessments [skip ci]"', { stdio: 'inherit' });
-      
-      // Push the commit
-      execSync('git push origin main', { stdio: 'inherit' });
-      
-      console.log('✅ Updated scores committed and pushed to main branch');
-      
+      if (this.publishMode === 'none' || !this.commitUpdatedScores()) {
+        return { success: true, calculation, publish: { mode: this.publishMode, committed: false } };
+      }
+
+      if (this.publishMode === 'pr') {
+        return { success: true, calculation, publish: this.openScoresPullRequest() };
+      }
+
+      const branch = this.getTargetBranch();
+      if (this.pushUpdatedScores(`HEAD:refs/heads/${branch}`)) {
+        console.log(`✅ Updated scores committed and pushed to ${branch}`);
+        return { success: true, calculation, publish: { mode: 'push', committed: true, branch, attempts: attempt } };
+      }
+
+      if (attempt < this.maxAttempts) {
+        console.log(`🔁 Push to ${branch} was rejected, rebasing and recalculating (attempt ${attempt + 1} of ${this.maxAttempts})...`);
+        this.rebaseOntoUpstream(branch);
+      }
+    }
+
+    const plural = this.maxAttempts === 1 ? '' : 's';
+    return {
+      success: false,
+      error: `Could not push the updated scores to ${this.getTargetBranch()} after ${this.maxAttempts} attempt${plural}.`,
+      publishFailed: true
+    };
+  }
+
+  // The branch the PR was merged into
+  getTargetBranch() {
+    if (this.targetBranch) {
+      return this.targetBranch;
+    }
+
+    const eventData = this.readEventData();
+    const base = eventData && eventData.pull_request && eventData.pull_request.base;
+    return (base && base.ref) || 'main';
+  }
+
+  getBotBranch() {
+    if (this.botBranch) {
+      return this.botBranch;
+    }
+
+    const eventData = this.readEventData();
+    const number = eventData && eventData.pull_request && eventData.pull_request.number;
+    return `scorecard/update-scores-${number || this.git(['rev-parse', '--short', 'HEAD']).trim()}`;
+  }
+
+  git(args, options = {}) {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], ...options });
+  }
+
+  getGeneratedPaths() {
+    return [...GENERATED_PATHS, this.historyDir || 'history'].filter(file => fs.existsSync(file));
+  }
+
+  // The repository's own identity when it has one, the Actions bot otherwise; nothing is written to git config
+  getIdentityArgs() {
+    try {
+      this.git(['config', 'user.email']);
+      return [];
     } catch (error) {
-      console.warn('⚠️  Could not commit updated scores automatically:', error.message);
-      console.log('ℹ️  The all.json file has been updated but needs to be committed manually');
+      return ['-c', 'user.name=GitHub Action', '-c', 'user.email=action@github.com'];
+    }
+  }
+
+  /**
+   * Commit every generated artifact. Returns false when nothing changed.
+   */
+  commitUpdatedScores() {
+    console.log('\\n📤 Committing updated scores...');
+
+    const paths = this.getGeneratedPaths();
+    // -A also stages files removed for deleted entities and moved history
+    this.git(['add', '-A', '--', ...paths]);
+
+    const staged = this.git(['diff', '--cached', '--name-only', '--', ...paths]).trim();
+    if (!staged) {
+      console.log('ℹ️  No changes to the generated files, skipping commit');
+      return false;
     }
+
+    this.git([...this.getIdentityArgs(), 'commit', '-m', COMMIT_MESSAGE, '--', ...paths]);
+    console.log(`📝 Committed ${staged.split('\n').length} generated files`);
+    return true;
   }
 
-  hasGitChanges(filePath) {
+  // False when the remote rejects the push, e.g. because another merge got there first
+  pushUpdatedScores(refspec, force = false) {
     try {
-      const output = execSync(`git status --porcelain ${filePath}`, { encoding: 'utf8' });
-      return output.trim().length > 0;
+      this.git(['push', ...(force ? ['--force'] : []), this.remote, refspec]);
+      return true;
     } catch (error) {
+      console.warn(`⚠️  Push to ${this.remote} failed: ${(error.stderr || error.message).toString().trim()}`);
       return false;
     }
   }
 
+  /**
+   * Drop the generated commit and rebase the checkout onto the fetched branch, so the
+   * next attempt recalculates from what is now upstream
+   */
+  rebaseOntoUpstream(branch) {
+    this.git(['reset', '--hard', 'HEAD~1']);
+    this.git(['fetch', this.remote, branch]);
+
+    try {
+      this.git([...this.getIdentityArgs(), 'rebase', 'FETCH_HEAD']);
+    } catch (error) {
+      this.git(['rebase', '--abort']);
+      throw new Error(`Could not rebase onto ${this.remote}/${branch}: ${(error.stderr || error.message).toString().trim()}`);
+    }
+  }
+
+  /**
+   * Push the generated commit to the bot branch and open a PR into the target branch,
+   * for repositories whose target branch is protected. An open PR for the branch is reused.
+   */
+  openScoresPullRequest() {
+    const branch = this.getBotBranch();
+    const base = this.getTargetBranch();
+
+    // The bot branch only ever holds generated output, so it is replaced on every run
+    if (!this.pushUpdatedScores(`HEAD:refs/heads/${branch}`, true)) {
+      throw new Error(`Could not push the updated scores to ${branch}`);
+    }
+    console.log(`✅ Updated scores pushed to ${branch}`);
+
+    const publish = { mode: 'pr', committed: true, branch, base, pullRequest: null };
+    try {
+      const existing = execFileSync('gh', ['pr', 'list', '--head', branch, '--base', base, '--state', 'open', '--json', 'url', '--jq', '.[0].url'], { encoding: 'utf8' }).trim();
+      publish.pullRequest = existing || execFileSync('gh', [
+        'pr', 'create',
+        '--head', branch,
+        '--base', base,
+        '--title', '🤖 Update aggregated scores',
+        '--body', 'Recalculated `all.json`, the published entity files and the score history after a self-review merge.'
+      ], { encoding: 'utf8' }).trim();
+      console.log(`🔗 Pull request: ${publish.pullRequest}`);
+    } catch (error) {
+      console.warn(`⚠️  Could not open a pull request for ${branch}: ${error.message}`);
+      console.log(`ℹ️  Open a pull request from ${branch} into ${base} to publish the scores`);
+    }
+
+    return publish;
+  }
+
   getReviewer() {
     // Try to get GitHub username from various sources
     // 1. GitHub Actions environment variable (actor who triggered the workflow)
@@ -231,17 +629,13 @@ class PRMergeProcessor {
     }
     
     // 2. Pull request author from GitHub context
-    if (process.env.GITHUB_EVENT_PATH) {
-      try {
-        const eventData = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
-        if (eventData.pull_request && eventData.pull_request.merged_by && eventData.pull_request.merged_by.login) {
-          return eventData.pull_request.merged_by.login;
-        }
-        if (eventData.pull_request && eventData.pull_request.user && eventData.pull_request.user.login) {
-          return eventData.pull_request.user.login;
-        }
-      } catch (error) {
-        console.warn('⚠️  Could not read GitHub event data:', error.message);
+    const eventData = this.readEventData();
+    if (eventData && eventData.pull_request) {
+      if (eventData.pull_request.merged_by && eventData.pull_request.merged_by.login) {
+        return eventData.pull_request.merged_by.login;
+      }
+      if (eventData.pull_request.user && eventData.pull_request.user.login) {
+        return eventData.pull_request.user.login;
       }
     }
     
@@ -270,6 +664,29 @@ class PRMergeProcessor {
   }
 
   generatePRComment(result) {
+    if (result.signOffOnly) {
+      return this.generateSignOffComment(result);
+    }
+
+    if (!result.success && result.quorum) {
+      return `## ❌ Score Processing Failed
+
+**Error:** ${result.error}
+
+**Sign-off:**
+${this.formatQuorum(result.quorum)}
+
+Get the missing approvals and re-run this workflow, or open a follow-up PR that has them.`;
+    }
+
+    if (!result.success && result.publishFailed) {
+      return `## ❌ Score Processing Failed
+
+**Error:** ${result.error}
+
+Other merges kept updating the branch. The entity files are merged; re-run this workflow to publish their scores.`;
+    }
+
     if (!result.success) {
       return `## ❌ Score Processing Failed
       
@@ -284,18 +701,142 @@ Please fix the validation errors and try again.`;
 - Processed ${result.processedFiles && result.processedFiles.length || 0} entity score files
 - Updated scores for ${result.updatedScores} entities
 - All.json has been updated with the latest scores
-
+${this.formatReviewers(result.reviewers || [])}${this.formatPublish(result.publish)}${this.formatChanges(result.changes || [])}
 The updated scores are now visible in the Backstage score-card plugin.`;
   }
+
+  generateSignOffComment(result) {
+    if (!result.quorum) {
+      return `## ❌ Sign-off Check Failed
+
+**Error:** ${result.error}`;
+    }
+
+    if (!result.success) {
+      return `## ❌ Sign-off Missing
+
+${this.formatQuorum(result.quorum)}
+
+The PR can be merged once every changed area has the approvals listed above.`;
+    }
+
+    const quorum = result.quorum.areas.length > 0 ? this.formatQuorum(result.quorum) : 'No changed area needs approvals.';
+    return `## ✅ Sign-off Complete
+
+${quorum}
+${this.formatReviewers(result.reviewers)}`;
+  }
+
+  formatQuorum(quorum) {
+    return quorum.areas
+      .map(result => {
+        const approvedBy = result.approvedBy.length > 0 ? ` (${result.approvedBy.map(login => `@${login}`).join(', ')})` : '';
+        return `- ${result.missing === 0 ? '✅' : '❌'} ${signOff.describeQuorum(result)}${approvedBy}`;
+      })
+      .join('\n');
+  }
+
+  formatPublish(publish) {
+    if (!publish || !publish.committed) {
+      return '';
+    }
+    if (publish.mode === 'pr') {
+      const pullRequest = publish.pullRequest || `open a pull request from \`${publish.branch}\` into \`${publish.base}\``;
+      return `- Pushed to \`${publish.branch}\` for review: ${pullRequest}\n`;
+    }
+    const retries = publish.attempts > 1 ? ` (recalculated on top of newer merges, attempt ${publish.attempts})` : '';
+    return `- Pushed to \`${publish.branch}\`${retries}\n`;
+  }
+
+  formatReviewers(reviewers) {
+    return reviewers.length > 0 ? `- Signed off by ${signOff.formatReviewer(reviewers)}\n` : '';
+  }
+
+  formatChanges(changes) {
+    if (changes.length === 0) {
+      return '';
+    }
+
+    const name = (entityRef, file) => (entityRef && entityRef.name) || path.basename(file, '.json');
+    const lines = changes.map(change => {
+      switch (change.type) {
+        case 'added':
+          return `- 🆕 Added \`${name(change.entityRef, change.file)}\``;
+        case 'deleted':
+          return `- 🗑️ Removed \`${name(change.entityRef, change.file)}\` from all.json and the published files (history archived)`;
+        case 'renamed':
+          return `- 🔀 Renamed \`${name(change.previousEntityRef, change.previousFile)}\` → \`${name(change.entityRef, change.file)}\` (history carried over)`;
+        default:
+          return `- ✏️ Updated \`${name(change.entityRef, change.file)}\``;
+      }
+    });
+
+    return `\n**Entity changes:**\n${lines.join('\n')}\n`;
+  }
 }
 
 // CLI Usage
 if (require.main === module) {
-  const processor = new PRMergeProcessor();
+  const args = process.argv.slice(2);
+  const options = {};
+  let commentFile = null;
+  let signOffOnly = false;
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--base-sha':
+        options.baseSha = args[++i];
+        break;
+      case '--history-dir':
+        options.historyDir = args[++i];
+        break;
+      case '--comment-file':
+        commentFile = args[++i];
+        break;
+      case '--reviews-file':
+        options.reviewsFile = args[++i];
+        break;
+      case '--publish':
+        options.publishMode = args[++i];
+        break;
+      case '--branch':
+        options.targetBranch = args[++i];
+        break;
+      case '--bot-branch':
+        options.botBranch = args[++i];
+        break;
+      case '--remote':
+        options.remote = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = Number(args[++i]);
+        break;
+      case '--sign-off-only':
+        signOffOnly = true;
+        break;
+    }
+  }
+
+  let processor;
+  try {
+    processor = new PRMergeProcessor(options);
+  } catch (error) {
+    console.error('❌ Processing failed:', error.message);
+    process.exit(1);
+  }
   
-  processor.processPRMerge()
+  const run = signOffOnly ? processor.checkPullRequestSignOff() : processor.processPRMerge();
+  run
     .then(result => {
-      console.log('\\n' + processor.generatePRComment(result));
+      const comment = processor.generatePRComment(result);
+      console.log('\\n' + comment);
+      if (commentFile) {
+        fs.writeFileSync(commentFile, comment, 'utf8');
+      }
       process.exit(result.success ? 0 : 1);
     })
     .catch(error => {
@@ -0,0 +1,154 @@
+/**
+ * Rollup scores
+ * Aggregates entity scores into system, domain and owning group scores, weighted by
+ * the criticality of each contributing entity, in the same shape as all.json entries
+ */
+
+const scoring = require('./scoring');
+const { normalizeTitle } = require('./rubric');
+const { ROLLUP_KINDS } = require('./scoring-config');
+
+/**
+ * Parse a Backstage entity ref ([kind:][namespace/]name) into { kind, namespace, name }
+ */
+function parseEntityRef(ref, defaultKind) {
+  const match = /^(?:([^:/]+):)?(?:([^:/]+)\/)?([^:/]+)$/.exec(String(ref || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    kind: (match[1] || defaultKind).toLowerCase(),
+    namespace: (match[2] || 'default').toLowerCase(),
+    name: match[3]
+  };
+}
+
+function getRefKey(entityRef) {
+  return `${entityRef.kind}:${entityRef.namespace || 'default'}/${entityRef.name}`.toLowerCase();
+}
+
+// Null when nothing was assessed, like the entity scores
+function weightedMean(items) {
+  const scored = items.filter(item => typeof item.value === 'number');
+  const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+  if (totalWeight === 0) {
+    return null;
+  }
+  return scored.reduce((sum, item) => sum + item.value * item.weight, 0) / totalWeight;
+}
+
+// Scores reported as unknown are not assessed and stay out of the averages
+function getScore(score) {
+  return score.scoreSuccess === 'unknown' ? null : score.scorePercent;
+}
+
+function getCriticalityWeight(criticality, config) {
+  const { criticalityWeights, defaultCriticality } = config.rollups;
+  const key = String(criticality || defaultCriticality).toLowerCase();
+  return criticalityWeights[key] !== undefined ? criticalityWeights[key] : criticalityWeights[defaultCriticality];
+}
+
+/**
+ * Rollup targets of one entity: its system, its domain and its owning group
+ */
+function getRollupTargets(metadata) {
+  return [
+    metadata.system && parseEntityRef(metadata.system, 'system'),
+    metadata.domain && parseEntityRef(metadata.domain, 'domain'),
+    metadata.owner && parseEntityRef(metadata.owner, 'group')
+  ].filter(ref => ref && ROLLUP_KINDS.includes(ref.kind));
+}
+
+function buildRollup(entityRef, contributors, config) {
+  const scorePercent = weightedMean(contributors.map(score => ({ value: getScore(score), weight: score.weight })));
+  const coverage = weightedMean(contributors.map(score => ({ value: score.coveragePercent, weight: score.weight })));
+
+  // Areas are matched by title, ids differ between rubrics and legacy files
+  const areas = new Map();
+  contributors.forEach(contributor => contributor.areaScores.forEach(area => {
+    const key = normalizeTitle(area.title);
+    if (!areas.has(key)) areas.set(key, { id: area.id, title: area.title, items: [] });
+    areas.get(key).items.push({ value: getScore(area), weight: contributor.weight, coveragePercent: area.coveragePercent });
+  }));
+
+  const reviewDates = contributors.map(contributor => contributor.scoringReviewDate).filter(Boolean).sort();
+  const generatedDates = contributors.map(contributor => contributor.generatedDateTimeUtc).filter(Boolean).sort();
+
+  return {
+    entityRef: {
+      kind: entityRef.kind,
+      name: entityRef.name,
+      ...(entityRef.namespace !== 'default' && { namespace: entityRef.namespace })
+    },
+    generatedDateTimeUtc: generatedDates[generatedDates.length - 1],
+    ...scoring.getScoreFields(scorePercent, config),
+    coveragePercent: coverage === null ? null : Math.floor(coverage),
+    scoringReviewer: 'Rollup',
+    scoringReviewDate: reviewDates[reviewDates.length - 1],
+    areaScores: [...areas.values()].map(area => {
+      const areaCoverage = weightedMean(area.items.map(item => ({ value: item.coveragePercent, weight: item.weight })));
+      return {
+        id: area.id,
+        title: area.title,
+        ...scoring.getScoreFields(weightedMean(area.items), config),
+        coveragePercent: areaCoverage === null ? null : Math.floor(areaCoverage)
+      };
+    }),
+    rollup: {
+      contributors: contributors.map(contributor => ({
+        entityRef: contributor.entityRef,
+        scorePercent: contributor.scorePercent,
+        coveragePercent: contributor.coveragePercent,
+        criticality: contributor.criticality,
+        weight: contributor.weight
+      }))
+    }
+  };
+}
+
+/**
+ * Build rollup entries from scored entities.
+ * entities: [{ score, metadata: { owner, system, domain, criticality } }]
+ * Entities of a rollup kind do not contribute, so a scored system is not counted twice.
+ * Returns the rollups sorted by kind and name; refs that were scored directly are skipped.
+ */
+function buildRollups(entities, config) {
+  const kinds = config.rollups.kinds;
+  const scoredKeys = new Set(entities.map(({ score }) => getRefKey({ namespace: 'default', ...score.entityRef })));
+  const targets = new Map();
+
+  entities
+    .filter(({ score }) => !ROLLUP_KINDS.includes(String(score.entityRef.kind).toLowerCase()))
+    .forEach(({ score, metadata }) => {
+      const criticality = String(metadata.criticality || config.rollups.defaultCriticality).toLowerCase();
+      const contributor = { ...score, criticality, weight: getCriticalityWeight(criticality, config) };
+
+      getRollupTargets(metadata)
+        .filter(ref => kinds.includes(ref.kind))
+        .forEach(ref => {
+          const key = getRefKey(ref);
+          if (!targets.has(key)) targets.set(key, { ref, contributors: [] });
+          targets.get(key).contributors.push(contributor);
+        });
+    });
+
+  const rollups = [];
+  const skipped = [];
+  [...targets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, { ref, contributors }]) => {
+      if (scoredKeys.has(key)) {
+        skipped.push(key);
+        return;
+      }
+      rollups.push(buildRollup(ref, contributors, config));
+    });
+
+  return { rollups, skipped };
+}
+
+module.exports = {
+  ROLLUP_KINDS,
+  buildRollups,
+  parseEntityRef
+};
@@ -0,0 +1,293 @@
+/**
+ * Rubric conformance helpers
+ * Picks the assessment template for an entity from the template registry (by kind,
+ * with tag overlays such as legacy or third-party) and compares the area and entry
+ * ids of an entity score file with it
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE_FILE = path.join(TEMPLATES_DIR, 'entity-score-template.json');
+const DEFAULT_REGISTRY_FILE = path.join(TEMPLATES_DIR, 'registry.json');
+const DEFAULT_KIND = 'component';
+
+// Share of a template's area ids an entity must use before it counts as scored against that template
+const RUBRIC_MATCH_THRESHOLD = 0.5;
+
+function loadTemplate(templateFile = DEFAULT_TEMPLATE_FILE) {
+  if (!fs.existsSync(templateFile)) {
+    throw new Error(`Template not found: ${templateFile}`);
+  }
+  return JSON.parse(fs.readFileSync(templateFile, 'utf8'));
+}
+
+function readJson(file, description) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${description} not found: ${file}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${description.toLowerCase()} ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Rubric id of a kind and its overlay tags, e.g. component+legacy
+ */
+function getRubricId(kind, tags = []) {
+  return [kind, ...[...tags].sort()].join('+');
+}
+
+/**
+ * Registry of templates by entity kind plus overlays by tag.
+ * Overlays mark entries optional by default for entities carrying the tag.
+ */
+class TemplateRegistry {
+  constructor(registry, baseDir) {
+    this.templateFiles = registry.templates || {};
+    this.overlayFiles = registry.overlays || {};
+    this.baseDir = baseDir;
+    this.cache = new Map();
+
+    if (!this.templateFiles[DEFAULT_KIND]) {
+      throw new Error(`Template registry must define a ${DEFAULT_KIND} template`);
+    }
+  }
+
+  static load(registryFile = DEFAULT_REGISTRY_FILE) {
+    return new TemplateRegistry(readJson(registryFile, 'Template registry'), path.dirname(registryFile));
+  }
+
+  get kinds() {
+    return Object.keys(this.templateFiles);
+  }
+
+  get tags() {
+    return Object.keys(this.overlayFiles);
+  }
+
+  getKind(data) {
+    const kind = String((data && data.entityRef && data.entityRef.kind) || DEFAULT_KIND).toLowerCase();
+    return this.templateFiles[kind] ? kind : DEFAULT_KIND;
+  }
+
+  /**
+   * Overlay tags that apply to an entity: its catalog tags when the file carries
+   * catalogMetadata, otherwise the tags of the rubric the file declares
+   */
+  getTags(data) {
+    const declared = data && data.catalogMetadata && Array.isArray(data.catalogMetadata.tags)
+      ? data.catalogMetadata.tags
+      : String((data && data.rubric) || '').split('+').slice(1);
+    return [...new Set(declared.map(tag => String(tag).toLowerCase()))]
+      .filter(tag => this.overlayFiles[tag])
+      .sort();
+  }
+
+  getTemplate(kind = DEFAULT_KIND, tags = []) {
+    const id = getRubricId(kind, tags);
+    if (this.cache.has(id)) {
+      return this.cache.get(id);
+    }
+
+    const file = this.templateFiles[kind];
+    if (!file) {
+      throw new Error(`No template registered for kind ${kind}. Registered kinds: ${this.kinds.join(', ')}`);
+    }
+
+    const template = loadTemplate(path.resolve(this.baseDir, file));
+    template.rubric = id;
+    tags.forEach(tag => {
+      if (!this.overlayFiles[tag]) {
+        throw new Error(`No overlay registered for tag ${tag}. Registered tags: ${this.tags.join(', ')}`);
+      }
+      const overlay = readJson(path.resolve(this.baseDir, this.overlayFiles[tag]), 'Template overlay');
+      const optionalIds = new Set((overlay.optionalEntries && overlay.optionalEntries[kind]) || []);
+      template.areaScores.forEach(area => area.scoreEntries.forEach(entry => {
+        if (optionalIds.has(entry.id)) entry.isOptional = true;
+      }));
+    });
+
+    this.cache.set(id, template);
+    return template;
+  }
+
+  // The template an entity should be scored against
+  resolve(data) {
+    return this.getTemplate(this.getKind(data), this.getTags(data));
+  }
+
+  /**
+   * Kind whose template areas the entity uses, for files that do not declare a rubric.
+   * Returns null when no template matches well enough to tell.
+   */
+  inferKind(data) {
+    const areaIds = new Set((Array.isArray(data.areaScores) ? data.areaScores : []).map(area => area && area.id));
+    let best = null;
+
+    this.kinds.forEach(kind => {
+      const templateAreas = this.getTemplate(kind).areaScores;
+      const share = templateAreas.filter(area => areaIds.has(area.id)).length / templateAreas.length;
+      if (share >= RUBRIC_MATCH_THRESHOLD && (!best || share > best.share)) {
+        best = { kind, share };
+      }
+    });
+
+    return best ? best.kind : null;
+  }
+}
+
+/**
+ * Report entities scored against another rubric than the one their kind and tags select.
+ */
+function checkRubric(data, registry) {
+  const findings = [];
+  const expected = registry.resolve(data).rubric;
+  const kind = registry.getKind(data);
+
+  if (typeof data.rubric === 'string' && data.rubric !== '') {
+    if (data.rubric !== expected) {
+      findings.push({
+        type: 'wrong-rubric',
+        path: '/rubric',
+        message: `Scored against rubric ${data.rubric}, but this ${kind} entity should use ${expected}. Run "npm run migrate" to move it to the right rubric`
+      });
+    }
+    return findings;
+  }
+
+  const inferredKind = registry.inferKind(data);
+  if (inferredKind && inferredKind !== kind) {
+    findings.push({
+      type: 'wrong-rubric',
+      path: '/areaScores',
+      message: `Areas match the ${inferredKind} rubric, but this ${kind} entity should use ${expected}. Run "npm run migrate" to move it to the right rubric`
+    });
+  }
+  return findings;
+}
+
+/**
+ * Copy of the entity where entries without isOptional take the rubric's default
+ */
+function applyRubricDefaults(data, template) {
+  if (!template || !Array.isArray(data.areaScores)) {
+    return data;
+  }
+
+  const optionalIds = new Set(template.areaScores.flatMap(area => area.scoreEntries
+    .filter(entry => entry.isOptional)
+    .map(entry => entry.id)));
+
+  return {
+    ...data,
+    areaScores: data.areaScores.map(area => (area && Array.isArray(area.scoreEntries) ? {
+      ...area,
+      scoreEntries: area.scoreEntries.map(entry => (entry && entry.isOptional === undefined && optionalIds.has(entry.id)
+        ? { ...entry, isOptional: true }
+        : entry))
+    } : area))
+  };
+}
+
+function normalizeTitle(title) {
+  return String(title || '').trim().toLowerCase();
+}
+
+function findDuplicates(items) {
+  const seen = new Map();
+  const duplicates = [];
+
+  items.forEach((item, index) => {
+    if (seen.has(item.id)) {
+      duplicates.push({ item, index, firstIndex: seen.get(item.id) });
+    } else {
+      seen.set(item.id, index);
+    }
+  });
+
+  return duplicates;
+}
+
+/**
+ * Report how an entity deviates from the template.
+ * Each finding has a type, a JSON pointer into the entity file and a message.
+ */
+function checkConformance(data, template) {
+  const findings = [];
+  const areas = Array.isArray(data.areaScores) ? data.areaScores : [];
+  const add = (type, pointer, message) => findings.push({ type, path: pointer, message });
+
+  if (template.templateVersion && data.templateVersion !== template.templateVersion) {
+    add('template-version', '/templateVersion',
+      `Scored against template version ${data.templateVersion || '(none)'}, current version is ${template.templateVersion}. Run "npm run migrate" to upgrade`);
+  }
+
+  const duplicateAreas = new Set();
+  findDuplicates(areas).forEach(({ item, index, firstIndex }) => {
+    duplicateAreas.add(index);
+    add('duplicate-area', `/areaScores/${index}/id`, `Area id ${item.id} is duplicated (first used at /areaScores/${firstIndex})`);
+  });
+
+  template.areaScores.forEach(templateArea => {
+    if (!areas.some(area => area.id === templateArea.id)) {
+      add('missing-area', '/areaScores', `Missing area ${templateArea.id} (${templateArea.title})`);
+    }
+  });
+
+  areas.forEach((area, areaIndex) => {
+    if (duplicateAreas.has(areaIndex)) return;
+
+    const areaPointer = `/areaScores/${areaIndex}`;
+    const templateArea = template.areaScores.find(candidate => candidate.id === area.id);
+    const entries = Array.isArray(area.scoreEntries) ? area.scoreEntries : [];
+
+    findDuplicates(entries).forEach(({ item, index, firstIndex }) => {
+      add('duplicate-entry', `${areaPointer}/scoreEntries/${index}/id`,
+        `Entry id ${item.id} is duplicated (first used at ${areaPointer}/scoreEntries/${firstIndex})`);
+    });
+
+    if (!templateArea) {
+      add('unknown-area', `${areaPointer}/id`, `Area ${area.id} (${area.title}) is not part of the template`);
+      return;
+    }
+
+    if (normalizeTitle(area.title) !== normalizeTitle(templateArea.title)) {
+      add('retitled-area', `${areaPointer}/title`, `Area ${area.id} is titled "${area.title}" but the template calls it "${templateArea.title}"`);
+    }
+
+    templateArea.scoreEntries.forEach(templateEntry => {
+      if (!entries.some(entry => entry.id === templateEntry.id)) {
+        add('missing-entry', `${areaPointer}/scoreEntries`, `Missing entry ${templateEntry.id} (${templateEntry.title}) in area ${templateArea.title}`);
+      }
+    });
+
+    entries.forEach((entry, entryIndex) => {
+      const entryPointer = `${areaPointer}/scoreEntries/${entryIndex}`;
+      const templateEntry = templateArea.scoreEntries.find(candidate => candidate.id === entry.id);
+
+      if (!templateEntry) {
+        add('unknown-entry', `${entryPointer}/id`, `Entry ${entry.id} (${entry.title}) is not part of template area ${templateArea.title}`);
+      } else if (normalizeTitle(entry.title) !== normalizeTitle(templateEntry.title)) {
+        add('retitled-entry', `${entryPointer}/title`, `Entry ${entry.id} is titled "${entry.title}" but the template calls it "${templateEntry.title}"`);
+      }
+    });
+  });
+
+  return findings;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_FILE,
+  DEFAULT_TEMPLATE_FILE,
+  TemplateRegistry,
+  applyRubricDefaults,
+  checkConformance,
+  checkRubric,
+  getRubricId,
+  loadTemplate,
+  normalizeTitle
+};
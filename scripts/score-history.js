@@ -0,0 +1,184 @@
+/**
+ * Score history store
+ * Keeps one JSON Lines file per entity (history/<namespace>/<kind>/<name>.jsonl, the layout
+ * of the published files) with a snapshot of the overall, area and entry scores for every
+ * calculation that changed them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEntityRefError } = require('./catalog');
+
+const ARCHIVE_DIR = 'archive';
+
+class ScoreHistory {
+  constructor(options = {}) {
+    this.historyDir = options.historyDir || './history';
+  }
+
+  // Kind is part of the key: a component and an api of the same name have separate histories.
+  // Refs the published files would reject throw, so snapshots never land in undefined.jsonl or outside historyDir
+  getHistoryPath(entityRef) {
+    const refError = getEntityRefError(entityRef);
+    if (refError) {
+      throw new Error(`Invalid history ref: ${refError}`);
+    }
+
+    const namespace = (entityRef.namespace || 'default').toLowerCase();
+    return path.join(namespace, entityRef.kind.toLowerCase(), `${entityRef.name}.jsonl`);
+  }
+
+  getHistoryFile(entityRef) {
+    return path.join(this.historyDir, this.getHistoryPath(entityRef));
+  }
+
+  buildSnapshot(entityScore, entityData, recordedAt = new Date().toISOString()) {
+    const sourceAreas = Array.isArray(entityData.areaScores) ? entityData.areaScores : [];
+
+    return {
+      recordedAt,
+      entityRef: entityScore.entityRef,
+      scorePercent: entityScore.scorePercent,
+      scoreLabel: entityScore.scoreLabel,
+      scoreSuccess: entityScore.scoreSuccess,
+      scoringReviewer: entityScore.scoringReviewer,
+      scoringReviewDate: entityScore.scoringReviewDate,
+      areaScores: entityScore.areaScores.map((area, index) => {
+        const sourceArea = sourceAreas[index] || {};
+        return {
+          id: area.id,
+          title: area.title,
+          scorePercent: area.scorePercent,
+          scoreEntries: (sourceArea.scoreEntries || []).map(entry => ({
+            id: entry.id,
+            title: entry.title,
+            scorePercent: entry.scorePercent === undefined ? null : entry.scorePercent,
+            scoreSuccess: entry.scoreSuccess
+          }))
+        };
+      })
+    };
+  }
+
+  readSnapshots(entityRef) {
+    return this.readHistoryFile(this.getHistoryFile(entityRef));
+  }
+
+  readHistoryFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const snapshots = [];
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+      if (line.trim().length === 0) return;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️  Skipping invalid history line ${filePath}:${index + 1}: ${error.message}`);
+      }
+    });
+    return snapshots;
+  }
+
+  /**
+   * Append a snapshot unless it matches the latest recorded one.
+   * Returns all snapshots for the entity, the last one reflecting the current scores.
+   * With dryRun nothing is written, recorded tells whether a snapshot would be appended.
+   */
+  recordSnapshot(snapshot, options = {}) {
+    const snapshots = this.readSnapshots(snapshot.entityRef);
+    const latest = snapshots[snapshots.length - 1];
+
+    if (latest && this.isSameScores(latest, snapshot)) {
+      return { snapshots, recorded: false };
+    }
+
+    if (options.dryRun) {
+      return { snapshots: [...snapshots, snapshot], recorded: true };
+    }
+
+    const historyFile = this.getHistoryFile(snapshot.entityRef);
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+    fs.appendFileSync(historyFile, `${JSON.stringify(snapshot)}\n`, 'utf8');
+
+    return { snapshots: [...snapshots, snapshot], recorded: true };
+  }
+
+  // Snapshots differing only in recordedAt are the same scores; undefined keys are dropped by JSON.stringify
+  isSameScores(a, b) {
+    const strip = snapshot => ({ ...snapshot, recordedAt: undefined });
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+  }
+
+  /**
+   * Move the history of a renamed entity to its new ref, merging with any
+   * snapshots already recorded under the new ref
+   */
+  moveHistory(fromRef, toRef) {
+    const fromFile = this.getHistoryFile(fromRef);
+    const toFile = this.getHistoryFile(toRef);
+    if (fromFile === toFile || !fs.existsSync(fromFile)) {
+      return false;
+    }
+
+    const entityRef = {
+      kind: toRef.kind,
+      name: toRef.name,
+      ...(toRef.namespace && toRef.namespace !== 'default' && { namespace: toRef.namespace })
+    };
+    const snapshots = [...this.readHistoryFile(fromFile), ...this.readHistoryFile(toFile)]
+      .sort((a, b) => String(a.recordedAt).localeCompare(String(b.recordedAt)))
+      .map(snapshot => ({ ...snapshot, entityRef }));
+
+    fs.mkdirSync(path.dirname(toFile), { recursive: true });
+    fs.writeFileSync(toFile, snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''), 'utf8');
+    fs.unlinkSync(fromFile);
+    return true;
+  }
+
+  // History of deleted entities is kept under archive/ so trends and reports skip it
+  archiveHistory(entityRef) {
+    const historyFile = this.getHistoryFile(entityRef);
+    if (!fs.existsSync(historyFile)) {
+      return false;
+    }
+
+    const archiveFile = path.join(this.historyDir, ARCHIVE_DIR, this.getHistoryPath(entityRef));
+    fs.mkdirSync(path.dirname(archiveFile), { recursive: true });
+    fs.renameSync(historyFile, archiveFile);
+    return true;
+  }
+
+  // History files of current entities, leaving out the archive
+  listHistoryFiles() {
+    if (!fs.existsSync(this.historyDir)) {
+      return [];
+    }
+
+    const files = [];
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(dirent => {
+          const filePath = path.join(dir, dirent.name);
+          if (dirent.isDirectory() && !(dir === this.historyDir && dirent.name === ARCHIVE_DIR)) {
+            walk(filePath);
+          } else if (dirent.isFile() && dirent.name.endsWith('.jsonl')) {
+            files.push(filePath);
+          }
+        });
+    };
+    walk(this.historyDir);
+    return files;
+  }
+}
+
+function getTrend(previousScore, currentScore) {
+  if (previousScore === null || previousScore === undefined) return null;
+  if (currentScore > previousScore) return 'up';
+  if (currentScore < previousScore) return 'down';
+  return 'flat';
+}
+
+module.exports = { ScoreHistory, getTrend };
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Score trend report
+ * Reads the score history store and reports per-entity and per-area changes over time
+ * Usage: node score-trends.js [options]
+ */
+
+const { ScoreHistory, getTrend } = require('./score-history');
+
+const TREND_ICONS = { up: '⬆️ ', down: '⬇️ ', flat: '➡️ ' };
+
+class TrendReporter {
+  constructor(options = {}) {
+    this.history = new ScoreHistory({ historyDir: options.historyDir });
+    this.entity = options.entity || null;
+    this.since = options.since ? new Date(options.since) : null;
+    this.format = options.format || 'text';
+  }
+
+  buildTrends() {
+    return this.history.listHistoryFiles()
+      .map(file => this.filterSnapshots(this.history.readHistoryFile(file)))
+      .filter(snapshots => snapshots.length > 0)
+      .filter(snapshots => !this.entity || snapshots[0].entityRef.name === this.entity)
+      .map(snapshots => this.buildEntityTrend(snapshots))
+      .sort((a, b) => a.entityRef.name.localeCompare(b.entityRef.name));
+  }
+
+  filterSnapshots(snapshots) {
+    if (!this.since) return snapshots;
+    return snapshots.filter(snapshot => new Date(snapshot.recordedAt) >= this.since);
+  }
+
+  buildEntityTrend(snapshots) {
+    const first = snapshots[0];
+    const latest = snapshots[snapshots.length - 1];
+
+    return {
+      entityRef: latest.entityRef,
+      snapshots: snapshots.length,
+      from: first.recordedAt,
+      to: latest.recordedAt,
+      firstScorePercent: first.scorePercent,
+      latestScorePercent: latest.scorePercent,
+      change: latest.scorePercent - first.scorePercent,
+      trend: getTrend(first.scorePercent, latest.scorePercent),
+      series: snapshots.map(snapshot => ({
+        recordedAt: snapshot.recordedAt,
+        scorePercent: snapshot.scorePercent,
+        scoringReviewer: snapshot.scoringReviewer
+      })),
+      areas: latest.areaScores.map(area => {
+        const firstArea = first.areaScores.find(candidate => candidate.id === area.id);
+        const firstScore = firstArea ? firstArea.scorePercent : null;
+        return {
+          id: area.id,
+          title: area.title,
+          firstScorePercent: firstScore,
+          latestScorePercent: area.scorePercent,
+          change: firstScore === null ? null : area.scorePercent - firstScore,
+          trend: getTrend(firstScore, area.scorePercent)
+        };
+      })
+    };
+  }
+
+  formatChange(change) {
+    if (change === null) return 'new';
+    return change > 0 ? `+${change}` : `${change}`;
+  }
+
+  printTrends(trends) {
+    if (this.format === 'json') {
+      console.log(JSON.stringify(trends, null, 2));
+      return;
+    }
+
+    if (trends.length === 0) {
+      console.log(`ℹ️  No score history found in ${this.history.historyDir}`);
+      return;
+    }
+
+    console.log('📈 Score Trends:');
+    trends.forEach(trend => {
+      console.log(`\n${TREND_ICONS[trend.trend]} ${trend.entityRef.name}: ${trend.firstScorePercent}% → ${trend.latestScorePercent}% (${this.formatChange(trend.change)}) over ${trend.snapshots} snapshots`);
+      console.log(`   ${trend.from.slice(0, 10)} → ${trend.to.slice(0, 10)}`);
+      trend.areas.forEach(area => {
+        const icon = area.trend ? TREND_ICONS[area.trend] : '🆕';
+        const from = area.firstScorePercent === null ? '-' : `${area.firstScorePercent}%`;
+        console.log(`   ${icon} ${area.title}: ${from} → ${area.latestScorePercent}% (${this.formatChange(area.change)})`);
+      });
+    });
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--history-dir':
+        options.historyDir = args[++i];
+        break;
+      case '--entity':
+        options.entity = args[++i];
+        break;
+      case '--since':
+        options.since = args[++i];
+        break;
+      case '--json':
+        options.format = 'json';
+        break;
+      case '--help':
+        console.log(`
+Usage: node score-trends.js [options]
+
+Options:
+  --history-dir <dir>    Score history directory (default: ./history)
+  --entity <name>        Only report this entity
+  --since <date>         Only consider snapshots recorded on or after this date
+  --json                 Output JSON instead of text
+  --help                 Show this help message
+
+Examples:
+  node score-trends.js
+  node score-trends.js --entity jenkins --since 2026-01-01
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  if (options.since && isNaN(new Date(options.since).getTime())) {
+    console.error(`❌ Invalid --since date: ${options.since}`);
+    process.exit(1);
+  }
+
+  const reporter = new TrendReporter(options);
+  reporter.printTrends(reporter.buildTrends());
+}
+
+module.exports = { TrendReporter };
@@ -0,0 +1,271 @@
+/**
+ * Scoring policy configuration
+ * Loads success bands, color bands, rounding rules, the aggregation method, the unknown entry policy
+ * and the sign-off quorum from scorecard.config.json so every script applies the same policy
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'scorecard.config.json';
+
+const AGGREGATION_METHODS = ['mean', 'weighted', 'minimum'];
+const ROUNDING_METHODS = ['round', 'floor', 'ceil'];
+const SEVERITIES = ['error', 'warn', 'off'];
+const ROLLUP_KINDS = ['system', 'domain', 'group'];
+const UNKNOWN_ENTRY_POLICIES = ['exclude', 'zero'];
+const EXPIRY_PENALTIES = ['none', 'decay', 'cap'];
+
+const DEFAULT_SCORING_CONFIG = {
+  // Score success mapping based on percentage
+  successBands: {
+    success: { min: 80, max: 100 },
+    'almost-success': { min: 70, max: 79 },
+    partial: { min: 50, max: 69 },
+    'almost-failure': { min: 30, max: 49 },
+    failure: { min: 0, max: 29 }
+  },
+  // Color mapping based on percentage
+  colorBands: {
+    Green: { min: 70, max: 100 },
+    Yellow: { min: 30, max: 69 },
+    Red: { min: 0, max: 29 }
+  },
+  rounding: {
+    method: 'round',
+    decimals: 0
+  },
+  aggregation: 'weighted',
+  coverage: {
+    // Unknown entries are left out of the area score (exclude) or count as 0 (zero); either way they lower coveragePercent
+    unknownEntries: 'exclude'
+  },
+  review: {
+    // Entry score changes of at least this many points without new evidence are flagged in PR summaries
+    largeJumpThreshold: 40
+  },
+  reviewExpiry: {
+    // Months after scoringReviewDate an assessment must be reviewed again, per entity kind
+    months: { default: 6 },
+    // Entities whose review is due within this many days are listed as due soon
+    dueSoonDays: 30,
+    // What an expired review does to the overall score: none, decay or cap
+    penalty: 'none',
+    // decay: points lost for every started month past the due date
+    decayPointsPerMonth: 10,
+    // cap: highest overall score an expired entity keeps
+    cap: 50
+  },
+  rubric: {
+    // Severity of template conformance findings: error, warn or off
+    conformance: 'warn'
+  },
+  actionItems: {
+    // GitHub @handle or @org/team, email address, or a Backstage user:/group: reference
+    ownerPattern: '^(@[A-Za-z0-9][A-Za-z0-9-]*(/[A-Za-z0-9._-]+)?|[^@\\s]+@[^@\\s]+\\.[^@\\s]+|(user|group):([A-Za-z0-9._-]+/)?[A-Za-z0-9._-]+)$',
+    // Severity of open items whose deadline has passed: error, warn or off
+    overdue: 'error'
+  },
+  calibration: {
+    // Mean self-score minus agreed score, in points, beyond which a team counts as inflating or sandbagging
+    biasThreshold: 10
+  },
+  rollups: {
+    // Rollup entries written to all.json: system, domain and/or group (the owning team)
+    kinds: ['system', 'domain', 'group'],
+    // Weight of an entity in its rollups, from its scorecard/criticality annotation
+    criticalityWeights: { critical: 4, high: 3, medium: 2, low: 1 },
+    defaultCriticality: 'medium'
+  },
+  signOff: {
+    // GitHub login to reviewer record: { name, role, areas }; role is the review team (sre, architecture, qa, ...)
+    reviewers: {},
+    // Approvals an area needs before process-pr publishes its scores, per area title; default covers the other areas
+    // e.g. "Operations": { "approvals": 1, "roles": ["sre"] }
+    quorum: { default: { approvals: 0 } }
+  }
+};
+
+function validateBands(bands, name) {
+  if (!bands || typeof bands !== 'object' || Array.isArray(bands) || Object.keys(bands).length === 0) {
+    throw new Error(`${name} must be a non-empty object of { min, max } ranges`);
+  }
+
+  for (const [band, range] of Object.entries(bands)) {
+    if (!range || typeof range.min !== 'number' || typeof range.max !== 'number' || range.min > range.max) {
+      throw new Error(`${name}.${band} must define numeric min <= max`);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function validateSignOff(signOff) {
+  if (!isPlainObject(signOff.reviewers)) {
+    throw new Error('signOff.reviewers must map GitHub logins to { name, role, areas } records');
+  }
+  for (const [login, reviewer] of Object.entries(signOff.reviewers)) {
+    if (!isPlainObject(reviewer) || typeof reviewer.role !== 'string' || reviewer.role.length === 0) {
+      throw new Error(`signOff.reviewers.${login} must have a role`);
+    }
+    if (reviewer.name !== undefined && typeof reviewer.name !== 'string') {
+      throw new Error(`signOff.reviewers.${login}.name must be a string`);
+    }
+    if (reviewer.areas !== undefined && !isStringList(reviewer.areas)) {
+      throw new Error(`signOff.reviewers.${login}.areas must be a list of area titles`);
+    }
+  }
+
+  if (!isPlainObject(signOff.quorum)) {
+    throw new Error('signOff.quorum must map area titles (and default) to { approvals, roles } rules');
+  }
+  for (const [area, rule] of Object.entries(signOff.quorum)) {
+    if (!isPlainObject(rule) || !Number.isInteger(rule.approvals) || rule.approvals < 0) {
+      throw new Error(`signOff.quorum.${area}.approvals must be a non-negative integer`);
+    }
+    if (rule.roles !== undefined && !isStringList(rule.roles)) {
+      throw new Error(`signOff.quorum.${area}.roles must be a list of reviewer roles`);
+    }
+  }
+}
+
+function validateScoringConfig(config) {
+  validateBands(config.successBands, 'successBands');
+  validateBands(config.colorBands, 'colorBands');
+
+  if (!ROUNDING_METHODS.includes(config.rounding.method)) {
+    throw new Error(`rounding.method must be one of: ${ROUNDING_METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(config.rounding.decimals) || config.rounding.decimals < 0) {
+    throw new Error('rounding.decimals must be a non-negative integer');
+  }
+  if (!AGGREGATION_METHODS.includes(config.aggregation)) {
+    throw new Error(`aggregation must be one of: ${AGGREGATION_METHODS.join(', ')}`);
+  }
+  if (!UNKNOWN_ENTRY_POLICIES.includes(config.coverage.unknownEntries)) {
+    throw new Error(`coverage.unknownEntries must be one of: ${UNKNOWN_ENTRY_POLICIES.join(', ')}`);
+  }
+  if (typeof config.review.largeJumpThreshold !== 'number' || config.review.largeJumpThreshold < 0) {
+    throw new Error('review.largeJumpThreshold must be a non-negative number');
+  }
+  const { months, dueSoonDays, penalty, decayPointsPerMonth, cap } = config.reviewExpiry;
+  if (!months || typeof months !== 'object' || Array.isArray(months) || months.default === undefined ||
+      Object.values(months).some(value => typeof value !== 'number' || value <= 0)) {
+    throw new Error('reviewExpiry.months must map entity kinds (and default) to a positive number of months');
+  }
+  if (typeof dueSoonDays !== 'number' || dueSoonDays < 0) {
+    throw new Error('reviewExpiry.dueSoonDays must be a non-negative number');
+  }
+  if (!EXPIRY_PENALTIES.includes(penalty)) {
+    throw new Error(`reviewExpiry.penalty must be one of: ${EXPIRY_PENALTIES.join(', ')}`);
+  }
+  if (typeof decayPointsPerMonth !== 'number' || decayPointsPerMonth < 0) {
+    throw new Error('reviewExpiry.decayPointsPerMonth must be a non-negative number');
+  }
+  if (typeof cap !== 'number' || cap < 0 || cap > 100) {
+    throw new Error('reviewExpiry.cap must be a number between 0 and 100');
+  }
+  if (!SEVERITIES.includes(config.rubric.conformance)) {
+    throw new Error(`rubric.conformance must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  try {
+    new RegExp(config.actionItems.ownerPattern);
+  } catch (error) {
+    throw new Error(`actionItems.ownerPattern is not a valid regular expression: ${error.message}`);
+  }
+  if (!SEVERITIES.includes(config.actionItems.overdue)) {
+    throw new Error(`actionItems.overdue must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof config.calibration.biasThreshold !== 'number' || config.calibration.biasThreshold < 0) {
+    throw new Error('calibration.biasThreshold must be a non-negative number');
+  }
+  if (!Array.isArray(config.rollups.kinds) || config.rollups.kinds.some(kind => !ROLLUP_KINDS.includes(kind))) {
+    throw new Error(`rollups.kinds must be a list of: ${ROLLUP_KINDS.join(', ')}`);
+  }
+  const weights = config.rollups.criticalityWeights;
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights) ||
+      Object.values(weights).some(weight => typeof weight !== 'number' || weight < 0)) {
+    throw new Error('rollups.criticalityWeights must map criticality levels to non-negative numbers');
+  }
+  if (weights[config.rollups.defaultCriticality] === undefined) {
+    throw new Error(`rollups.defaultCriticality must be one of: ${Object.keys(weights).join(', ')}`);
+  }
+  validateSignOff(config.signOff);
+
+  return config;
+}
+
+function mergeScoringConfig(overrides = {}) {
+  return validateScoringConfig({
+    ...DEFAULT_SCORING_CONFIG,
+    ...overrides,
+    // Bands replace the defaults as a whole so stricter policies can drop categories
+    successBands: overrides.successBands || DEFAULT_SCORING_CONFIG.successBands,
+    colorBands: overrides.colorBands || DEFAULT_SCORING_CONFIG.colorBands,
+    rounding: { ...DEFAULT_SCORING_CONFIG.rounding, ...overrides.rounding },
+    coverage: { ...DEFAULT_SCORING_CONFIG.coverage, ...overrides.coverage },
+    review: { ...DEFAULT_SCORING_CONFIG.review, ...overrides.review },
+    reviewExpiry: {
+      ...DEFAULT_SCORING_CONFIG.reviewExpiry,
+      ...overrides.reviewExpiry,
+      // Kinds without their own period keep the default
+      months: { ...DEFAULT_SCORING_CONFIG.reviewExpiry.months, ...(overrides.reviewExpiry && overrides.reviewExpiry.months) }
+    },
+    rubric: { ...DEFAULT_SCORING_CONFIG.rubric, ...overrides.rubric },
+    actionItems: { ...DEFAULT_SCORING_CONFIG.actionItems, ...overrides.actionItems },
+    calibration: { ...DEFAULT_SCORING_CONFIG.calibration, ...overrides.calibration },
+    rollups: { ...DEFAULT_SCORING_CONFIG.rollups, ...overrides.rollups },
+    signOff: {
+      reviewers: { ...DEFAULT_SCORING_CONFIG.signOff.reviewers, ...(overrides.signOff && overrides.signOff.reviewers) },
+      // Areas without their own rule keep the default
+      quorum: { ...DEFAULT_SCORING_CONFIG.signOff.quorum, ...(overrides.signOff && overrides.signOff.quorum) }
+    }
+  });
+}
+
+/**
+ * Load the scoring policy. An explicit path must exist; otherwise
+ * scorecard.config.json in the working directory is used when present,
+ * falling back to the built-in defaults.
+ */
+function loadScoringConfig(configPath) {
+  const filePath = configPath || path.resolve(DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (configPath) {
+      throw new Error(`Scoring config not found: ${configPath}`);
+    }
+    return mergeScoringConfig();
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid scoring config ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return mergeScoringConfig(overrides);
+  } catch (error) {
+    throw new Error(`Invalid scoring config ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_SCORING_CONFIG,
+  AGGREGATION_METHODS,
+  EXPIRY_PENALTIES,
+  ROLLUP_KINDS,
+  SEVERITIES,
+  UNKNOWN_ENTRY_POLICIES,
+  loadScoringConfig,
+  mergeScoringConfig
+};
@@ -0,0 +1,233 @@
+/**
+ * Shared scoring helpers
+ * Aggregation, rounding and banding of entry and area scores, used by both the
+ * calculator and the validator. The policy comes from scoring-config.js.
+ *
+ * Weight rule: areas and entries may declare a `weight`. An item without one takes the
+ * mean of the non-zero weights declared by its siblings, or 1 when no sibling declares
+ * one (plain average). A weight of 0 excludes the item from the aggregate and from coverage.
+ *
+ * Aggregation methods:
+ * - weighted: weighted average of entries within an area and of areas overall
+ * - mean: plain average at both levels, weights are ignored
+ * - minimum: weighted entry average within an area, lowest area score overall
+ *
+ * Not assessed is not 0: a required entry without a score is unknown. Depending on
+ * coverage.unknownEntries it is left out of the area score or counts as 0, and it always
+ * lowers coveragePercent, the weighted share of required entries that were assessed.
+ * An area without assessed entries has a null score under the exclude policy and is left
+ * out of the overall score; an area that scored a real 0 is not.
+ */
+
+const { DEFAULT_SCORING_CONFIG } = require('./scoring-config');
+
+function hasWeight(item) {
+  return typeof item.weight === 'number' && item.weight >= 0;
+}
+
+function resolveWeights(items, config = DEFAULT_SCORING_CONFIG) {
+  if (config.aggregation === 'mean') {
+    return items.map(() => 1);
+  }
+
+  // Excluded items must not drag down the weight of their undeclared siblings
+  const declared = items.filter(item => hasWeight(item) && item.weight > 0).map(item => item.weight);
+  const defaultWeight = declared.length > 0
+    ? declared.reduce((sum, weight) => sum + weight, 0) / declared.length
+    : 1;
+
+  return items.map(item => (hasWeight(item) ? item.weight : defaultWeight));
+}
+
+function weightedAverage(items, weights) {
+  let totalScore = 0;
+  let totalWeight = 0;
+
+  items.forEach((item, index) => {
+    totalScore += item.scorePercent * weights[index];
+    totalWeight += weights[index];
+  });
+
+  return totalWeight > 0 ? totalScore / totalWeight : null;
+}
+
+function isScoredEntry(entry) {
+  return entry.scoreSuccess !== 'unknown' &&
+    entry.scorePercent !== null &&
+    entry.scorePercent !== undefined &&
+    !entry.isOptional;
+}
+
+// Floored so that a single unknown entry never shows as 100% coverage
+function getCoverage(assessedWeight, requiredWeight) {
+  return requiredWeight > 0 ? Math.floor((assessedWeight / requiredWeight) * 100) : null;
+}
+
+/**
+ * Returns scorePercent (null when nothing counts towards it), coveragePercent (null
+ * without required entries), and the number of scored and unknown entries
+ */
+function calculateAreaScore(area, config = DEFAULT_SCORING_CONFIG) {
+  const entries = Array.isArray(area.scoreEntries) ? area.scoreEntries : [];
+  const weights = resolveWeights(entries, config);
+  const unknownAsZero = config.coverage.unknownEntries === 'zero';
+
+  const scored = [];
+  const scoredWeights = [];
+  let unknownEntries = 0;
+  let assessedWeight = 0;
+  let requiredWeight = 0;
+  entries.forEach((entry, index) => {
+    if (entry.isOptional || weights[index] === 0) {
+      return;
+    }
+
+    const assessed = isScoredEntry(entry);
+    requiredWeight += weights[index];
+    if (assessed) {
+      assessedWeight += weights[index];
+    } else {
+      unknownEntries++;
+    }
+
+    if (assessed || unknownAsZero) {
+      scored.push(assessed ? entry : { scorePercent: 0 });
+      scoredWeights.push(weights[index]);
+    }
+  });
+
+  return {
+    scorePercent: weightedAverage(scored, scoredWeights),
+    coveragePercent: getCoverage(assessedWeight, requiredWeight),
+    scoredEntries: scored.length - (unknownAsZero ? unknownEntries : 0),
+    unknownEntries
+  };
+}
+
+function calculateOverallScore(areaScores, config = DEFAULT_SCORING_CONFIG) {
+  const weights = resolveWeights(areaScores, config);
+
+  // Areas without a score are not assessed; a genuine 0 counts
+  const scored = [];
+  const scoredWeights = [];
+  let assessedWeight = 0;
+  let requiredWeight = 0;
+  areaScores.forEach((area, index) => {
+    if (weights[index] === 0) {
+      return;
+    }
+    if (typeof area.scorePercent === 'number') {
+      scored.push(area);
+      scoredWeights.push(weights[index]);
+    }
+    if (typeof area.coveragePercent === 'number') {
+      assessedWeight += (area.coveragePercent / 100) * weights[index];
+      requiredWeight += weights[index];
+    }
+  });
+
+  const coveragePercent = getCoverage(assessedWeight, requiredWeight);
+  if (config.aggregation === 'minimum') {
+    return {
+      scorePercent: scored.length > 0 ? Math.min(...scored.map(area => area.scorePercent)) : null,
+      coveragePercent
+    };
+  }
+
+  return {
+    scorePercent: weightedAverage(scored, scoredWeights),
+    coveragePercent
+  };
+}
+
+function roundScore(percent, config = DEFAULT_SCORING_CONFIG) {
+  const factor = Math.pow(10, config.rounding.decimals);
+  return Math[config.rounding.method](percent * factor) / factor;
+}
+
+/**
+ * Bands are half-open: each runs from its min up to the next band's min, and only the
+ * highest band is closed at its max. With rounding.decimals above 0 a score such as 79.5
+ * lands in the band below 80 instead of falling between two integer ranges.
+ */
+function findBand(bands, percent) {
+  const ranges = Object.entries(bands).sort((a, b) => b[1].min - a[1].min);
+  if (ranges.length === 0 || percent > ranges[0][1].max) {
+    return null;
+  }
+
+  const match = ranges.find(([, range]) => percent >= range.min);
+  return match ? match[0] : null;
+}
+
+function getScoreLabel(percent, config = DEFAULT_SCORING_CONFIG) {
+  return findBand(config.colorBands, roundScore(percent, config));
+}
+
+function getScoreSuccess(percent, config = DEFAULT_SCORING_CONFIG) {
+  return findBand(config.successBands, roundScore(percent, config));
+}
+
+/**
+ * Rounded scorePercent with its scoreLabel and scoreSuccess. A null score is reported
+ * as 0 with scoreSuccess 'unknown', so it cannot pass for a genuine 0.
+ */
+function getScoreFields(percent, config = DEFAULT_SCORING_CONFIG) {
+  if (typeof percent !== 'number') {
+    return { scorePercent: 0, scoreLabel: getScoreLabel(0, config) || 'Red', scoreSuccess: 'unknown' };
+  }
+
+  const scorePercent = roundScore(percent, config);
+  return {
+    scorePercent,
+    scoreLabel: getScoreLabel(scorePercent, config) || 'Red',
+    scoreSuccess: getScoreSuccess(scorePercent, config) || 'failure'
+  };
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * First part of an entity score object the helpers cannot work with, as { path, message }
+ * with a JSON pointer, or null. Checks the shape only: the data, each area and each entry
+ * must be objects, and the area and entry lists arrays.
+ */
+function getStructureError(data) {
+  if (!isObject(data)) {
+    return { path: '', message: 'must be an object' };
+  }
+  if (!Array.isArray(data.areaScores)) {
+    return { path: '/areaScores', message: 'must be an array' };
+  }
+
+  for (const [areaIndex, area] of data.areaScores.entries()) {
+    if (!isObject(area)) {
+      return { path: `/areaScores/${areaIndex}`, message: 'must be an object' };
+    }
+    if (area.scoreEntries === undefined) {
+      continue;
+    }
+    if (!Array.isArray(area.scoreEntries)) {
+      return { path: `/areaScores/${areaIndex}/scoreEntries`, message: 'must be an array' };
+    }
+    const entryIndex = area.scoreEntries.findIndex(entry => !isObject(entry));
+    if (entryIndex !== -1) {
+      return { path: `/areaScores/${areaIndex}/scoreEntries/${entryIndex}`, message: 'must be an object' };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  getStructureError,
+  resolveWeights,
+  isScoredEntry,
+  calculateAreaScore,
+  calculateOverallScore,
+  roundScore,
+  getScoreLabel,
+  getScoreSuccess,
+  getScoreFields
+};
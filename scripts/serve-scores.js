@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Local score server for Backstage development
+ * Serves all.json and per-entity scores computed live from entity-scores/, so a local
+ * Backstage can point scorecards.jsonDataUrl at it
+ * Usage: node serve-scores.js [options]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { ScoreCalculator } = require('./calculate-scores');
+
+const WATCH_DEBOUNCE_MS = 200;
+
+class ScoreServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : 3030;
+    this.host = options.host || '127.0.0.1';
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.corsOrigin = options.corsOrigin || '*';
+    this.watch = options.watch !== false;
+    this.calculator = new ScoreCalculator({
+      entityScoresDir: this.entityScoresDir,
+      config: options.config,
+      configFile: options.configFile,
+      catalogSource: options.catalogSource,
+      recordHistory: false,
+      publish: false
+    });
+    this.scores = [];
+    this.entities = new Map();
+    this.server = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Recalculate every entity in memory. Files that fail to parse are skipped
+   * so one broken edit does not take the whole server down.
+   */
+  loadScores() {
+    const scores = [];
+    const entities = new Map();
+    const entityDataMap = new Map();
+
+    for (const file of this.calculator.getEntityScoreFiles()) {
+      try {
+        const data = this.calculator.readEntityFile(file);
+        const entityScore = this.calculator.applyReviewExpiry(this.calculator.processEntityData(data), data);
+        scores.push(entityScore);
+        entityDataMap.set(entityScore, data);
+        entities.set(this.getEntityPath(entityScore.entityRef), this.calculator.buildPublishedEntity(entityScore, data));
+      } catch (error) {
+        console.error(`❌ Error processing ${file}: ${error.message}`);
+      }
+    }
+
+    // System, domain and team rollups are served like entities
+    this.calculator.calculateRollups(entityDataMap).forEach(rollup => {
+      scores.push(rollup);
+      entities.set(this.getEntityPath(rollup.entityRef), rollup);
+    });
+
+    this.scores = scores.sort((a, b) => this.calculator.compareEntityRefs(a.entityRef, b.entityRef));
+    this.entities = entities;
+    console.log(`🔢 Calculated scores for ${entityDataMap.size} entities`);
+  }
+
+  getEntityPath(entityRef) {
+    return [entityRef.namespace || 'default', entityRef.kind, entityRef.name]
+      .map(part => part.toLowerCase())
+      .join('/');
+  }
+
+  parseList(value) {
+    return value ? value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : [];
+  }
+
+  /**
+   * Filters: ?label=Green,Yellow  ?success=failure  ?area=<id or title>
+   * The area filter keeps entities that have a matching area and trims areaScores to it.
+   */
+  filterScores(scores, query) {
+    const labels = this.parseList(query.get('label'));
+    const successes = this.parseList(query.get('success'));
+    const areas = this.parseList(query.get('area'));
+    const matchesArea = area => areas.includes(String(area.id)) || areas.includes(String(area.title).toLowerCase());
+
+    return scores
+      .filter(score => labels.length === 0 || labels.includes(String(score.scoreLabel).toLowerCase()))
+      .filter(score => successes.length === 0 || successes.includes(String(score.scoreSuccess).toLowerCase()))
+      .filter(score => areas.length === 0 || score.areaScores.some(matchesArea))
+      .map(score => (areas.length === 0 ? score : { ...score, areaScores: score.areaScores.filter(matchesArea) }));
+  }
+
+  setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'If-None-Match, Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  }
+
+  sendJson(req, res, statusCode, payload) {
+    const body = JSON.stringify(payload, null, 2);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (statusCode === 200 && ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  handleRequest(req, res) {
+    this.setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendJson(req, res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    // Only the path and query are used, so the Host header never takes part in parsing
+    let url;
+    let pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname).replace(/\/+$/, '') || '/';
+    } catch (error) {
+      // Malformed percent-encoding, e.g. /%E0%A4%A, or a request target that is not a URL path
+      this.sendJson(req, res, 400, { error: `Malformed path: ${req.url}` });
+      return;
+    }
+
+    if (pathname === '/' || pathname === '/all.json') {
+      this.sendJson(req, res, 200, this.filterScores(this.scores, url.searchParams));
+      return;
+    }
+
+    // /entities/:namespace/:kind/:name, plus the <namespace>/<kind>/<name>.json layout of the published files
+    const match = pathname.match(/^\/entities\/([^/]+)\/([^/]+)\/([^/]+)$/) ||
+      pathname.match(/^\/([^/]+)\/([^/]+)\/([^/]+)\.json$/);
+    if (match) {
+      const entity = this.entities.get(match.slice(1).map(part => part.toLowerCase()).join('/'));
+      if (entity) {
+        this.sendJson(req, res, 200, entity);
+      } else {
+        this.sendJson(req, res, 404, { error: `Entity ${match[2]}:${match[1]}/${match[3]} not found` });
+      }
+      return;
+    }
+
+    this.sendJson(req, res, 404, { error: `Not found: ${pathname}` });
+  }
+
+  watchEntityScores() {
+    this.watcher = fs.watch(this.entityScoresDir, (eventType, fileName) => {
+      if (fileName && !fileName.endsWith('.json')) return;
+
+      // Editors emit several events per save
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        console.log(`🔄 ${fileName || 'entity scores'} changed, recalculating...`);
+        try {
+          this.loadScores();
+        } catch (error) {
+          console.error(`❌ Recalculation failed, keeping previous scores: ${error.message}`);
+        }
+      }, WATCH_DEBOUNCE_MS);
+    });
+  }
+
+  async start() {
+    this.loadScores();
+    if (this.watch) {
+      this.watchEntityScores();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        console.log(`🚀 Serving scores at http://${this.host}:${port}/all.json`);
+        console.log(`   Per entity: http://${this.host}:${port}/entities/<namespace>/<kind>/<name>`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+    }
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        options.port = Number(args[++i]);
+        break;
+      case '--host':
+        options.host = args[++i];
+        break;
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--catalog':
+        options.catalogSource = args[++i];
+        break;
+      case '--cors-origin':
+        options.corsOrigin = args[++i];
+        break;
+      case '--no-watch':
+        options.watch = false;
+        break;
+      case '--help':
+        console.log(`
+Usage: node serve-scores.js [options]
+
+Options:
+  --port <port>                Port to listen on (default: 3030)
+  --host <host>                Interface to bind (default: 127.0.0.1)
+  --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
+  --config <file>              Scoring policy file (default: ./scorecard.config.json if present)
+  --catalog <dir|export.json>  Catalog for rollup ownership (default: each file's catalogMetadata)
+  --cors-origin <origin>       Access-Control-Allow-Origin value (default: *)
+  --no-watch                   Do not recalculate when entity files change
+  --help                       Show this help message
+
+Endpoints:
+  GET /all.json?label=Red&success=failure&area=<id or title>
+  GET /entities/<namespace>/<kind>/<name>
+  GET /<namespace>/<kind>/<name>.json
+
+Backstage app-config.yaml:
+  scorecards:
+    jsonDataUrl: http://127.0.0.1:3030/
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  if (options.port !== undefined && (!Number.isInteger(options.port) || options.port < 0)) {
+    console.error('❌ --port must be a non-negative integer');
+    process.exit(1);
+  }
+
+  let server;
+  try {
+    server = new ScoreServer(options);
+  } catch (error) {
+    console.error('❌ Could not start the score server:', error.message);
+    process.exit(1);
+  }
+
+  server.start().catch(error => {
+    console.error('❌ Could not start the score server:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+module.exports = { ScoreServer };
@@ -0,0 +1,151 @@
+/**
+ * Review sign-off
+ * Turns the PR reviews of a GitHub event payload into reviewer records (name, role and
+ * the areas they answer for) and checks them against the per-area quorum in signOff
+ */
+
+const { normalizeTitle } = require('./rubric');
+
+// Review states that replace a reviewer's earlier verdict; comments leave it standing
+const DECISIVE_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'];
+
+/**
+ * Reviews from the event payload: the reviews list a workflow stores in it, the review
+ * of a pull_request_review event, plus any reviews fetched separately (the GitHub API
+ * list, as an array or { reviews })
+ */
+function collectReviews(eventData, extraReviews) {
+  const reviews = [];
+  if (eventData && Array.isArray(eventData.reviews)) {
+    reviews.push(...eventData.reviews);
+  }
+  if (eventData && eventData.review) {
+    reviews.push(eventData.review);
+  }
+  if (Array.isArray(extraReviews)) {
+    reviews.push(...extraReviews);
+  } else if (extraReviews && Array.isArray(extraReviews.reviews)) {
+    reviews.push(...extraReviews.reviews);
+  }
+  return reviews;
+}
+
+/**
+ * Logins whose latest decisive review is an approval, as [{ login, approvedAt }]
+ * in submission order
+ */
+function getApprovals(reviews) {
+  const latest = new Map();
+  reviews
+    .filter(review => review && review.user && review.user.login)
+    .map(review => ({
+      login: review.user.login,
+      state: String(review.state || '').toUpperCase(),
+      submittedAt: review.submitted_at || null
+    }))
+    .filter(review => DECISIVE_STATES.includes(review.state))
+    .sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)))
+    .forEach(review => latest.set(review.login.toLowerCase(), review));
+
+  return [...latest.values()]
+    .filter(review => review.state === 'APPROVED')
+    .map(review => ({ login: review.login, approvedAt: review.submittedAt }));
+}
+
+/**
+ * Reviewer record for an approval. Logins missing from signOff.reviewers get no role,
+ * so they never count towards a quorum that asks for one.
+ */
+function getReviewerRecord(approval, config) {
+  const reviewers = config.signOff.reviewers;
+  const key = Object.keys(reviewers).find(login => login.toLowerCase() === approval.login.toLowerCase());
+  const reviewer = key ? reviewers[key] : {};
+
+  const record = {
+    name: reviewer.name || approval.login,
+    login: approval.login,
+    role: reviewer.role ? reviewer.role.toLowerCase() : null
+  };
+  if (reviewer.areas) {
+    record.areas = reviewer.areas;
+  }
+  if (approval.approvedAt) {
+    record.approvedAt = approval.approvedAt;
+  }
+  return record;
+}
+
+function getQuorumRule(area, config) {
+  const { quorum } = config.signOff;
+  const key = Object.keys(quorum).find(title => title !== 'default' && normalizeTitle(title) === normalizeTitle(area));
+  return key ? quorum[key] : quorum.default;
+}
+
+// A reviewer limited to some areas only signs off on those
+function countsFor(record, area, rule) {
+  if (rule.roles && !rule.roles.some(role => role.toLowerCase() === record.role)) {
+    return false;
+  }
+  return !record.areas || record.areas.some(title => normalizeTitle(title) === normalizeTitle(area));
+}
+
+/**
+ * Check the approvals against the quorum of each area. Returns { met, areas } with
+ * { area, approvals, roles, approvedBy, missing } for every area that needs approvals.
+ */
+function checkQuorum(areas, records, config) {
+  const titles = [...new Map(areas.map(area => [normalizeTitle(area), area])).values()];
+
+  const results = titles
+    .map(area => ({ area, rule: getQuorumRule(area, config) }))
+    .filter(({ rule }) => rule && rule.approvals > 0)
+    .map(({ area, rule }) => {
+      const approvedBy = records.filter(record => countsFor(record, area, rule)).map(record => record.login);
+      return {
+        area,
+        approvals: rule.approvals,
+        roles: rule.roles || [],
+        approvedBy,
+        missing: Math.max(0, rule.approvals - approvedBy.length)
+      };
+    });
+
+  return { met: results.every(result => result.missing === 0), areas: results };
+}
+
+function describeQuorum(result) {
+  const from = result.roles.length > 0 ? ` from ${result.roles.join(' or ')}` : '';
+  const plural = result.approvals === 1 ? '' : 's';
+  return `${result.area} needs ${result.approvals} approval${plural}${from}, has ${result.approvedBy.length}`;
+}
+
+/**
+ * Display form of scoringReviewer, which is a name, a reviewer record or a list of records
+ */
+function formatReviewer(scoringReviewer) {
+  if (!scoringReviewer) {
+    return '';
+  }
+  if (typeof scoringReviewer === 'string') {
+    return scoringReviewer;
+  }
+
+  const records = Array.isArray(scoringReviewer) ? scoringReviewer : [scoringReviewer];
+  return records
+    .filter(record => record && typeof record === 'object')
+    .map(record => {
+      const name = record.name || record.login || 'Unknown';
+      return record.role ? `${name} (${record.role})` : name;
+    })
+    .join(', ');
+}
+
+module.exports = {
+  checkQuorum,
+  collectReviews,
+  describeQuorum,
+  formatReviewer,
+  getApprovals,
+  getQuorumRule,
+  getReviewerRecord
+};
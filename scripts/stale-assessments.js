@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Review expiry tracking
+ * Applies the reviewExpiry policy to scoringReviewDate and lists entities whose
+ * review is due soon or has expired, grouped by owner
+ * Usage: node stale-assessments.js [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadScoringConfig } = require('./scoring-config');
+const { CatalogIndex } = require('./catalog');
+const { getToday, isValidDate } = require('./dates');
+const { formatReviewer } = require('./sign-off');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30;
+
+function getReviewMonths(kind, config) {
+  const { months } = config.reviewExpiry;
+  const key = String(kind || '').toLowerCase();
+  return months[key] !== undefined ? months[key] : months.default;
+}
+
+// Calendar months on from the review date; the 31st of a shorter month rolls into the next one
+function addMonths(date, months) {
+  const due = new Date(date.getTime());
+  due.setUTCMonth(due.getUTCMonth() + months);
+  return due.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Review status of an entity file: current, due-soon or expired. The review date is
+ * scoringReviewDate, or generatedDateTimeUtc for files that were never reviewed.
+ * Returns { status, reviewDate, dueDate, daysLeft }; daysLeft is negative once expired.
+ */
+function getReviewStatus(data, config, today = getToday()) {
+  const reviewDate = data.scoringReviewDate || data.generatedDateTimeUtc || null;
+  const reviewed = reviewDate ? new Date(reviewDate) : null;
+
+  if (!reviewed || Number.isNaN(reviewed.getTime())) {
+    return { status: 'expired', reviewDate, dueDate: null, daysLeft: null };
+  }
+
+  const dueDate = addMonths(reviewed, getReviewMonths(data.entityRef && data.entityRef.kind, config));
+  const daysLeft = daysBetween(today, dueDate);
+  let status = 'current';
+  if (daysLeft < 0) {
+    status = 'expired';
+  } else if (daysLeft <= config.reviewExpiry.dueSoonDays) {
+    status = 'due-soon';
+  }
+
+  return { status, reviewDate: reviewed.toISOString().slice(0, 10), dueDate, daysLeft };
+}
+
+/**
+ * Overall score an expired entity keeps under the decay or cap penalty.
+ * Returns the score unchanged for other statuses and penalty none.
+ */
+function applyExpiryPenalty(scorePercent, review, config) {
+  const { penalty, decayPointsPerMonth, cap } = config.reviewExpiry;
+  if (review.status !== 'expired' || penalty === 'none') {
+    return scorePercent;
+  }
+
+  if (penalty === 'cap') {
+    return Math.min(scorePercent, cap);
+  }
+
+  // A file without a usable review date loses everything
+  const monthsOverdue = review.daysLeft === null ? Infinity : Math.ceil(-review.daysLeft / DAYS_PER_MONTH);
+  return Math.max(0, scorePercent - monthsOverdue * decayPointsPerMonth);
+}
+
+class StaleReporter {
+  constructor(options = {}) {
+    this.entityScoresDir = options.entityScoresDir || './entity-scores';
+    this.config = options.config || loadScoringConfig(options.configFile);
+    this.catalog = options.catalog || (options.catalogSource ? CatalogIndex.load(options.catalogSource) : null);
+    this.owner = options.owner || null;
+    this.expiredOnly = options.expiredOnly || false;
+    this.today = options.today || getToday();
+    this.format = options.format || 'text';
+  }
+
+  // Owner from the catalog when given, else from the file's catalogMetadata
+  getOwner(data) {
+    const entity = this.catalog && data.entityRef ? this.catalog.resolve(data.entityRef) : null;
+    const owner = entity ? entity.owner : data.catalogMetadata && data.catalogMetadata.owner;
+    return owner || '(unassigned)';
+  }
+
+  collectEntities() {
+    if (!fs.existsSync(this.entityScoresDir)) {
+      throw new Error(`Entity scores directory not found: ${this.entityScoresDir}`);
+    }
+
+    const entities = [];
+    fs.readdirSync(this.entityScoresDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(this.entityScoresDir, file);
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          console.warn(`⚠️  Skipping ${filePath}: ${error.message}`);
+          return;
+        }
+
+        const entityRef = data.entityRef || {};
+        entities.push({
+          entity: entityRef.name || path.basename(file, '.json'),
+          kind: entityRef.kind || 'component',
+          file: filePath,
+          owner: this.getOwner(data),
+          reviewer: formatReviewer(data.scoringReviewer) || null,
+          ...getReviewStatus(data, this.config, this.today)
+        });
+      });
+
+    return entities;
+  }
+
+  buildReport() {
+    const entities = this.collectEntities();
+    const listed = entities
+      .filter(entity => entity.status !== 'current')
+      .filter(entity => !this.expiredOnly || entity.status === 'expired')
+      .filter(entity => !this.owner || entity.owner === this.owner)
+      .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)) || a.entity.localeCompare(b.entity));
+
+    const byOwner = {};
+    listed.forEach(entity => {
+      byOwner[entity.owner] = byOwner[entity.owner] || [];
+      byOwner[entity.owner].push(entity);
+    });
+
+    const count = status => entities.filter(entity => entity.status === status).length;
+    return {
+      today: this.today,
+      policy: this.config.reviewExpiry,
+      total: entities.length,
+      current: count('current'),
+      dueSoon: count('due-soon'),
+      expired: count('expired'),
+      byOwner
+    };
+  }
+
+  printReport() {
+    const report = this.buildReport();
+
+    if (this.format === 'json') {
+      console.log(JSON.stringify(report, null, 2));
+      return report;
+    }
+
+    console.log(`🗓️  Reviews as of ${report.today}: ${report.expired} expired, ${report.dueSoon} due within ${report.policy.dueSoonDays} days, ${report.current} current`);
+
+    Object.keys(report.byOwner).sort().forEach(owner => {
+      console.log(`\n👤 ${owner}`);
+      report.byOwner[owner].forEach(entity => {
+        if (entity.dueDate === null) {
+          console.log(`   ⏰ EXPIRED  ${entity.entity} has no review date`);
+        } else if (entity.status === 'expired') {
+          console.log(`   ⏰ EXPIRED  ${entity.entity} was due ${entity.dueDate} (${-entity.daysLeft} days ago, reviewed ${entity.reviewDate})`);
+        } else {
+          console.log(`   🔜 DUE      ${entity.entity} is due ${entity.dueDate} (in ${entity.daysLeft} days, reviewed ${entity.reviewDate})`);
+        }
+      });
+    });
+
+    if (Object.keys(report.byOwner).length === 0) {
+      console.log('\n✅ No reviews are due.');
+    } else if (report.policy.penalty !== 'none') {
+      const effect = report.policy.penalty === 'cap'
+        ? `capped at ${report.policy.cap}%`
+        : `reduced by ${report.policy.decayPointsPerMonth} points per month`;
+      console.log(`\nℹ️  Expired entities are ${effect} in all.json until they are reviewed again`);
+    }
+
+    return report;
+  }
+}
+
+// CLI Usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--entity-scores-dir':
+        options.entityScoresDir = args[++i];
+        break;
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--catalog':
+        options.catalogSource = args[++i];
+        break;
+      case '--owner':
+        options.owner = args[++i];
+        break;
+      case '--expired':
+        options.expiredOnly = true;
+        break;
+      case '--today':
+        options.today = args[++i];
+        break;
+      case '--json':
+        options.format = 'json';
+        break;
+      case '--help':
+        console.log(`
+Usage: node stale-assessments.js [options]
+
+Options:
+  --entity-scores-dir <dir>    Directory containing entity score files (default: ./entity-scores)
+  --config <file>              Scoring policy file with reviewExpiry (default: ./scorecard.config.json if present)
+  --catalog <dir|export.json>  Take owners from the catalog (default: each file's catalogMetadata)
+  --owner <owner>              Only list entities of this owner
+  --expired                    Only list expired reviews
+  --today <YYYY-MM-DD>         Date to check review dates against (default: today, UTC)
+  --json                       Print the report as JSON
+  --help                       Show this help message
+
+Examples:
+  node stale-assessments.js
+  node stale-assessments.js --owner group:team-a --expired
+        `);
+        process.exit(0);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  if (options.today && !isValidDate(options.today)) {
+    console.error(`❌ --today must be a YYYY-MM-DD date, got ${options.today}`);
+    process.exit(1);
+  }
+
+  try {
+    new StaleReporter(options).printReport();
+  } catch (error) {
+    console.error('❌ Stale assessment report failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  StaleReporter,
+  applyExpiryPenalty,
+  getReviewMonths,
+  getReviewStatus
+};
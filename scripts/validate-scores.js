@@ -2,167 +2,313 @@
 
 /**
  * Validation script for entity score files
+ * Enforces entity-score-schema.json and reports each finding with a JSON pointer
  * Usage: node validate-scores.js <entity-score-file.json>
  */
 
 const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const scoring = require('./scoring');
+const { loadScoringConfig, mergeScoringConfig } = require('./scoring-config');
+const { TemplateRegistry, applyRubricDefaults, checkConformance, checkRubric, loadTemplate } = require('./rubric');
+const { checkActionItems } = require('./action-items');
+const { getToday } = require('./dates');
+const { CatalogIndex, checkEntityRef, getCatalogMetadata } = require('./catalog');
+const { buildSourceMap, escapePointerToken, locatePointer, locateSyntaxError } = require('./json-source-map');
+const { RuleEngine } = require('./lint-rules');
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'entity-score-schema.json');
+
+const OUTPUT_FORMATS = ['text', 'json', 'sarif', 'github'];
+
+// Compiled schemas are shared between validator instances with the same bands
+const schemaCache = new Map();
 
-// Score success mapping based on percentage
-const SCORE_SUCCESS_MAPPING = {
-  success: { min: 80, max: 100 },
-  'almost-success': { min: 70, max: 79 },
-  partial: { min: 50, max: 69 },
-  'almost-failure': { min: 30, max: 49 },
-  failure: { min: 0, max: 29 }
-};
-
-// Color mapping based on percentage  
-const COLOR_MAPPING = {
-  Green: { min: 70, max: 100 },
-  Yellow: { min: 30, max: 69 },
-  Red: { min: 0, max: 29 }
-};
+/**
+ * The schema lists the default band names; the allowed scoreLabel and scoreSuccess values
+ * are those of the configured colorBands and successBands
+ */
+function applyBandEnums(node, config) {
+  if (Array.isArray(node)) {
+    node.forEach(item => applyBandEnums(item, config));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  const properties = node.properties || {};
+  if (properties.scoreLabel && properties.scoreLabel.enum) {
+    properties.scoreLabel.enum = Object.keys(config.colorBands);
+  }
+  if (properties.scoreSuccess && properties.scoreSuccess.enum) {
+    properties.scoreSuccess.enum = [...Object.keys(config.successBands), 'unknown'];
+  }
+  Object.values(node).forEach(child => applyBandEnums(child, config));
+}
+
+function compileSchema(schemaFile, config) {
+  const key = JSON.stringify([schemaFile, Object.keys(config.colorBands), Object.keys(config.successBands)]);
+  if (!schemaCache.has(key)) {
+    const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    applyBandEnums(schema, config);
+    const ajv = new Ajv2020({ allErrors: true, strict: false });
+    addFormats(ajv);
+    schemaCache.set(key, ajv.compile(schema));
+  }
+  return schemaCache.get(key);
+}
+
+function formatSchemaError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return {
+        path: `${error.instancePath}/${escapePointerToken(error.params.missingProperty)}`,
+        message: 'is required'
+      };
+    case 'enum':
+      return {
+        path: error.instancePath,
+        message: `${error.message}: ${error.params.allowedValues.join(', ')}`
+      };
+    case 'additionalProperties':
+      return {
+        path: `${error.instancePath}/${escapePointerToken(error.params.additionalProperty)}`,
+        message: 'is not allowed'
+      };
+    default:
+      return { path: error.instancePath, message: error.message };
+  }
+}
 
 class ScoreValidator {
-  constructor() {
+  constructor(options = {}) {
     this.errors = [];
     this.warnings = [];
+    // Anything with log, warn and error; the library entry point passes a silent one
+    this.logger = options.logger || console;
+    // A partial config, as the library typings allow, is completed with the defaults
+    this.config = options.config ? mergeScoringConfig(options.config) : loadScoringConfig(options.configFile);
+    this.schemaFile = options.schemaFile || DEFAULT_SCHEMA_FILE;
+    this.validateSchema = compileSchema(this.schemaFile, this.config);
+    this.currentFile = null;
+    this.conformance = this.config.rubric.conformance;
+    // An explicit template applies to every file, otherwise the registry picks one per entity kind and tags
+    this.template = options.templateFile ? loadTemplate(options.templateFile) : null;
+    this.registry = options.registry || TemplateRegistry.load(options.registryFile);
+    this.today = options.today || getToday();
+    // PR base commit; action items the PR adds or changes must not be overdue
+    this.baseRef = options.baseRef || null;
+    this.baseItems = null;
+    this.catalog = options.catalog || (options.catalogSource ? CatalogIndex.load(options.catalogSource) : null);
+    this.syncCatalog = options.syncCatalog || false;
+    this.ruleEngine = new RuleEngine({ config: this.config, ruleConfig: options.ruleConfig, rcFile: options.rcFile, rulesDir: options.rulesDir });
+    this.format = options.format || 'text';
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown format ${this.format}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    this.sourceMap = null;
+  }
+
+  // Progress messages would corrupt machine-readable output
+  log(message) {
+    if (this.format === 'text') {
+      this.logger.log(message);
+    }
   }
 
   validateFile(filePath) {
-    console.log(`🔍 Validating score file: ${filePath}`);
+    this.log(`🔍 Validating score file: ${filePath}`);
+    this.currentFile = filePath;
+    this.sourceMap = null;
 
     // Check file exists
     if (!fs.existsSync(filePath)) {
-      this.addError(`File not found: ${filePath}`);
+      this.addError(`File not found: ${filePath}`, '', 'file');
       return false;
     }
 
     let data;
+    const content = fs.readFileSync(filePath, 'utf8');
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
       data = JSON.parse(content);
     } catch (error) {
-      this.addError(`Invalid JSON: ${error.message}`);
+      this.addError(`Invalid JSON: ${error.message}`, '', 'json', locateSyntaxError(content, error));
       return false;
     }
 
-    return this.validateEntityScore(data);
+    // Line and column of every pointer, for annotations
+    this.sourceMap = buildSourceMap(content);
+    this.baseItems = this.baseRef ? this.loadBaseActionItems(filePath) : null;
+    const isValid = this.validateEntityScore(data);
+    this.sourceMap = null;
+    this.baseItems = null;
+
+    if (this.syncCatalog) {
+      this.syncCatalogMetadata(filePath, data);
+    }
+
+    return isValid;
   }
 
-  validateEntityScore(data) {
-    // Validate required fields
-    this.validateRequired(data, ['entityRef', 'generatedDateTimeUtc', 'areaScores']);
+  /**
+   * Validate an object that was never written to a file. name stands in for the file
+   * name in findings. Returns { valid, errors, warnings } for this object only.
+   */
+  validateData(data, name = null) {
+    this.currentFile = name;
+    this.sourceMap = null;
+    const [errorCount, warningCount] = [this.errors.length, this.warnings.length];
+    const valid = this.validateEntityScore(data);
+
+    return {
+      valid,
+      errors: this.errors.slice(errorCount),
+      warnings: this.warnings.slice(warningCount)
+    };
+  }
 
-    // Validate entity reference
-    this.validateEntityRef(data.entityRef);
+  validateEntityScore(data) {
+    const errorCount = this.errors.length;
 
-    // Validate date format
-    this.validateDateTime(data.generatedDateTimeUtc, 'generatedDateTimeUtc');
+    // Structure, types, enums, formats and ranges come from entity-score-schema.json
+    this.validateAgainstSchema(data);
 
-    if (data.scoringReviewDate) {
-      this.validateDateTime(data.scoringReviewDate, 'scoringReviewDate');
+    // The remaining checks walk areas and entries, which they cannot do on a malformed object
+    const structureError = scoring.getStructureError(data);
+    if (structureError) {
+      if (this.errors.length === errorCount) {
+        this.addError(structureError.message, structureError.path, 'schema');
+      }
+      return false;
     }
 
-    // Validate area scores
-    if (Array.isArray(data.areaScores)) {
-      data.areaScores.forEach((area, index) => {
-        this.validateAreaScore(area, index);
-      });
-    } else {
-      this.addError('areaScores must be an array');
-    }
+    // Check that entityRef resolves in the Backstage catalog
+    this.validateCatalog(data);
+
+    // Lint rules with severities from .scorecardrc.json
+    this.validateRules(data);
+
+    // Compare area and entry ids with the rubric for the entity's kind and tags
+    this.validateConformance(data);
+
+    // Check owners, dates and deadlines of agreed action items
+    this.validateActionItems(data);
 
     // Calculate and validate overall scores
     this.validateCalculatedScores(data);
 
-    return this.errors.length === 0;
+    return this.errors.length === errorCount;
   }
 
-  validateRequired(obj, fields) {
-    fields.forEach(field => {
-      if (!(field in obj) || obj[field] === null || obj[field] === undefined) {
-        this.addError(`Missing required field: ${field}`);
-      }
+  validateAgainstSchema(data) {
+    if (this.validateSchema(data)) {
+      return;
+    }
+
+    this.validateSchema.errors.forEach(error => {
+      const { path: pointer, message } = formatSchemaError(error);
+      this.addError(message, pointer, 'schema');
     });
   }
 
-  validateEntityRef(entityRef) {
-    if (!entityRef || typeof entityRef !== 'object') {
-      this.addError('entityRef must be an object');
+  getTemplate(data) {
+    return this.template || this.registry.resolve(data);
+  }
+
+  validateConformance(data) {
+    if (this.conformance === 'off' || !data || !Array.isArray(data.areaScores)) {
       return;
     }
 
-    this.validateRequired(entityRef, ['kind', 'name']);
-    
-    if (entityRef.kind && !['component', 'api', 'system', 'resource'].includes(entityRef.kind)) {
-      this.addWarning(`Unusual entity kind: ${entityRef.kind}. Expected one of: component, api, system, resource`);
-    }
+    const findings = [
+      ...(this.template ? [] : checkRubric(data, this.registry)),
+      ...checkConformance(data, this.getTemplate(data))
+    ];
+    findings.forEach(finding => {
+      if (this.conformance === 'error') {
+        this.addError(finding.message, finding.path, finding.type);
+      } else {
+        this.addWarning(finding.message, finding.path, finding.type);
+      }
+    });
   }
 
-  validateDateTime(dateStr, fieldName) {
-    try {
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) {
-        this.addError(`${fieldName} is not a valid ISO date`);
-      }
-    } catch (error) {
-      this.addError(`${fieldName} is not a valid date: ${error.message}`);
+  validateCatalog(data) {
+    if (!this.catalog || !data) {
+      return;
     }
-  }
 
-  validateAreaScore(area, index) {
-    const prefix = `areaScores[${index}]`;
-    
-    this.validateRequired(area, ['id', 'title', 'scoreEntries']);
-    
-    if (typeof area.id !== 'number') {
-      this.addError(`${prefix}.id must be a number`);
+    const { entity, findings } = checkEntityRef(data.entityRef, this.catalog);
+    findings.forEach(finding => this.addError(finding.message, finding.path, 'catalog'));
+
+    if (entity && data.catalogMetadata && !this.syncCatalog &&
+      JSON.stringify(data.catalogMetadata) !== JSON.stringify(getCatalogMetadata(entity))) {
+      this.addWarning('catalogMetadata differs from the catalog. Run with --sync-catalog to update it', '/catalogMetadata', 'catalog');
     }
+  }
 
-    if (!Array.isArray(area.scoreEntries)) {
-      this.addError(`${prefix}.scoreEntries must be an array`);
-      return;
+  syncCatalogMetadata(filePath, data) {
+    const entity = this.catalog && data && data.entityRef ? this.catalog.resolve(data.entityRef) : null;
+    if (!entity) {
+      return false;
     }
 
-    if (area.scoreEntries.length === 0) {
-      this.addError(`${prefix}.scoreEntries cannot be empty`);
+    const metadata = getCatalogMetadata(entity);
+    if (JSON.stringify(data.catalogMetadata) === JSON.stringify(metadata)) {
+      return false;
     }
 
-    area.scoreEntries.forEach((entry, entryIndex) => {
-      this.validateScoreEntry(entry, `${prefix}.scoreEntries[${entryIndex}]`);
+    // Keep catalogMetadata next to entityRef
+    const updated = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (key === 'catalogMetadata') return;
+      updated[key] = value;
+      if (key === 'entityRef') updated.catalogMetadata = metadata;
     });
+
+    fs.writeFileSync(filePath, JSON.stringify(updated, null, 2), 'utf8');
+    this.log(`🔄 Synced catalog metadata into ${filePath}`);
+    return true;
   }
 
-  validateScoreEntry(entry, prefix) {
-    this.validateRequired(entry, ['id', 'title', 'scoreSuccess', 'details']);
-    
-    if (typeof entry.id !== 'number') {
-      this.addError(`${prefix}.id must be a number`);
+  // Action items of the file at the base ref; none when the PR adds the file
+  loadBaseActionItems(filePath) {
+    try {
+      // "./" makes git resolve the path relative to the working directory
+      const relativePath = `./${path.relative(process.cwd(), path.resolve(filePath))}`;
+      const content = execFileSync('git', ['show', `${this.baseRef}:${relativePath}`], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      const items = JSON.parse(content).actionItems;
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      return [];
     }
+  }
 
-    if (entry.scorePercent !== null && entry.scorePercent !== undefined) {
-      if (typeof entry.scorePercent !== 'number' || entry.scorePercent < 0 || entry.scorePercent > 100) {
-        this.addError(`${prefix}.scorePercent must be a number between 0-100`);
+  validateActionItems(data) {
+    checkActionItems(data, this.config, this.today, this.baseItems).forEach(finding => {
+      if (finding.severity === 'error') {
+        this.addError(finding.message, finding.path, 'action-items');
+      } else {
+        this.addWarning(finding.message, finding.path, 'action-items');
       }
-    }
-
-    if (!['success', 'almost-success', 'partial', 'almost-failure', 'failure', 'unknown'].includes(entry.scoreSuccess)) {
-      this.addError(`${prefix}.scoreSuccess must be one of: success, almost-success, partial, almost-failure, failure, unknown`);
-    }
+    });
+  }
 
-    // Validate score consistency
-    if (entry.scorePercent !== null && entry.scoreSuccess !== 'unknown') {
-      const expectedCategory = this.getScoreCategory(entry.scorePercent);
-      if (expectedCategory !== entry.scoreSuccess) {
-        this.addWarning(`${prefix}: scorePercent (${entry.scorePercent}) suggests '${expectedCategory}' but scoreSuccess is '${entry.scoreSuccess}'`);
+  validateRules(data) {
+    this.ruleEngine.run(data).forEach(finding => {
+      if (finding.severity === 'error') {
+        this.addError(finding.message, finding.path, finding.rule);
+      } else {
+        this.addWarning(finding.message, finding.path, finding.rule);
       }
-    }
-
-    // Check for TODO placeholders
-    if (entry.selfAssessmentComments && entry.selfAssessmentComments.includes('TODO:')) {
-      this.addWarning(`${prefix}: Self-assessment comments contain TODO placeholder`);
-    }
+    });
   }
 
   validateCalculatedScores(data) {
@@ -170,79 +316,150 @@ class ScoreValidator {
     // Implementation depends on your specific scoring algorithm
     const calculatedScores = this.calculateScores(data);
     
-    if (data.scorePercent && Math.abs(data.scorePercent - calculatedScores.overall) > 1) {
-      this.addWarning(`Overall scorePercent (${data.scorePercent}) differs from calculated value (${calculatedScores.overall.toFixed(1)})`);
+    if (typeof data.scorePercent === 'number' && data.scorePercent && Math.abs(data.scorePercent - calculatedScores.overall) > 1) {
+      this.addWarning(`Overall scorePercent (${data.scorePercent}) differs from calculated value (${calculatedScores.overall.toFixed(1)})`, '/scorePercent', 'calculated-score');
     }
   }
 
   calculateScores(data) {
-    // Simple weighted average calculation
-    let totalScore = 0;
-    let totalWeight = 0;
-
+    // Same aggregation policy as the calculator, see scoring.js
     // Guard against undefined or non-array areaScores
-    if (!data.areaScores || !Array.isArray(data.areaScores)) {
+    if (!data || !Array.isArray(data.areaScores)) {
       return { overall: 0 };
     }
 
-    data.areaScores.forEach(area => {
-      let areaScore = 0;
-      let areaWeight = 0;
-
-      area.scoreEntries.forEach(entry => {
-        if (entry.scorePercent !== null && entry.scoreSuccess !== 'unknown' && !entry.isOptional) {
-          areaScore += entry.scorePercent;
-          areaWeight += 1;
-        }
-      });
+    // Entries without isOptional take the default of the entity's rubric
+    const areaScores = applyRubricDefaults(data, this.getTemplate(data)).areaScores.filter(area => area && typeof area === 'object').map(area => ({
+      weight: area.weight,
+      scorePercent: scoring.calculateAreaScore(area, this.config).scorePercent
+    }));
 
-      if (areaWeight > 0) {
-        const avgAreaScore = areaScore / areaWeight;
-        totalScore += avgAreaScore;
-        totalWeight += 1;
-      }
-    });
+    // An entity without assessed entries is stored as 0, see scoring.getScoreFields
+    const { scorePercent } = scoring.calculateOverallScore(areaScores, this.config);
+    return {
+      overall: scorePercent === null ? 0 : scorePercent
+    };
+  }
 
+  createIssue(message, pointer, rule, location) {
+    const position = location || (this.sourceMap ? locatePointer(this.sourceMap, pointer) : null);
     return {
-      overall: totalWeight > 0 ? totalScore / totalWeight : 0
+      file: this.currentFile,
+      path: pointer,
+      ...(position && { line: position.line, column: position.column }),
+      ...(rule && { rule }),
+      message
     };
   }
 
-  getScoreCategory(percent) {
-    for (const [category, range] of Object.entries(SCORE_SUCCESS_MAPPING)) {
-      if (percent >= range.min && percent <= range.max) {
-        return category;
-      }
-    }
-    return 'unknown';
+  addError(message, pointer = '', rule = null, location = null) {
+    this.errors.push(this.createIssue(message, pointer, rule, location));
   }
 
-  addError(message) {
-    this.errors.push(`❌ ERROR: ${message}`);
+  addWarning(message, pointer = '', rule = null, location = null) {
+    this.warnings.push(this.createIssue(message, pointer, rule, location));
   }
 
-  addWarning(message) {
-    this.warnings.push(`⚠️  WARNING: ${message}`);
+  formatIssue(issue) {
+    const file = issue.file && issue.line ? `${issue.file}:${issue.line}:${issue.column}` : issue.file;
+    const location = [file, issue.path].filter(Boolean).join(' ');
+    return location ? `${location}: ${issue.message}` : issue.message;
   }
 
-  printResults() {
-    console.log('\\n📊 Validation Results:');
+  formatJson() {
+    return JSON.stringify({
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    }, null, 2);
+  }
+
+  formatSarif() {
+    const issues = [
+      ...this.errors.map(issue => ({ issue, level: 'error' })),
+      ...this.warnings.map(issue => ({ issue, level: 'warning' }))
+    ];
+    const ruleIds = [...new Set(issues.map(({ issue }) => issue.rule || 'entity-score'))].sort();
+
+    return JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'validate-scores',
+            rules: ruleIds.map(id => ({ id }))
+          }
+        },
+        results: issues.map(({ issue, level }) => ({
+          ruleId: issue.rule || 'entity-score',
+          level,
+          message: { text: issue.path ? `${issue.path}: ${issue.message}` : issue.message },
+          ...(issue.file && {
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: issue.file.split(path.sep).join('/') },
+                ...(issue.line && { region: { startLine: issue.line, startColumn: issue.column } })
+              }
+            }]
+          })
+        }))
+      }]
+    }, null, 2);
+  }
+
+  // GitHub Actions workflow commands, shown as inline annotations on the PR
+  formatGithub() {
+    const escapeData = value => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    const escapeProperty = value => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+    const command = (level, issue) => {
+      const properties = [
+        issue.file && `file=${escapeProperty(issue.file)}`,
+        issue.line && `line=${issue.line}`,
+        issue.column && `col=${issue.column}`,
+        `title=${escapeProperty(issue.rule ? `Score validation (${issue.rule})` : 'Score validation')}`
+      ].filter(Boolean).join(',');
+      const message = issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+      return `::${level} ${properties}::${escapeData(message)}`;
+    };
+
+    return [
+      ...this.errors.map(issue => command('error', issue)),
+      ...this.warnings.map(issue => command('warning', issue)),
+      `Validation summary: ${this.errors.length} errors, ${this.warnings.length} warnings`
+    ].join('\n');
+  }
+
+  printResults(outputFile = null) {
+    if (this.format !== 'text') {
+      const formatters = { json: () => this.formatJson(), sarif: () => this.formatSarif(), github: () => this.formatGithub() };
+      const output = formatters[this.format]();
+      if (outputFile) {
+        fs.writeFileSync(outputFile, `${output}\n`, 'utf8');
+      } else {
+        this.logger.log(output);
+      }
+      return this.errors.length === 0;
+    }
+
+    this.logger.log('\\n📊 Validation Results:');
     
     if (this.errors.length > 0) {
-      console.log('\\n🚨 Errors:');
-      this.errors.forEach(error => console.log(`  ${error}`));
+      this.logger.log('\\n🚨 Errors:');
+      this.errors.forEach(error => this.logger.log(`  ❌ ERROR: ${this.formatIssue(error)}`));
     }
 
     if (this.warnings.length > 0) {
-      console.log('\\n⚠️  Warnings:');  
-      this.warnings.forEach(warning => console.log(`  ${warning}`));
+      this.logger.log('\\n⚠️  Warnings:');  
+      this.warnings.forEach(warning => this.logger.log(`  ⚠️  WARNING: ${this.formatIssue(warning)}`));
     }
 
     if (this.errors.length === 0 && this.warnings.length === 0) {
-      console.log('✅ All validations passed!');
+      this.logger.log('✅ All validations passed!');
     }
 
-    console.log(`\\n📈 Summary: ${this.errors.length} errors, ${this.warnings.length} warnings`);
+    this.logger.log(`\\n📈 Summary: ${this.errors.length} errors, ${this.warnings.length} warnings`);
     return this.errors.length === 0;
   }
 }
@@ -250,24 +467,79 @@ class ScoreValidator {
 // CLI Usage
 if (require.main === module) {
   const args = process.argv.slice(2);
+  const options = {};
+  const files = [];
+  let outputFile = null;
+
+  // Parse command line arguments
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--config':
+        options.configFile = args[++i];
+        break;
+      case '--schema':
+        options.schemaFile = args[++i];
+        break;
+      case '--template':
+        options.templateFile = args[++i];
+        break;
+      case '--registry':
+        options.registryFile = args[++i];
+        break;
+      case '--catalog':
+        options.catalogSource = args[++i];
+        break;
+      case '--sync-catalog':
+        options.syncCatalog = true;
+        break;
+      case '--rc':
+        options.rcFile = args[++i];
+        break;
+      case '--rules-dir':
+        options.rulesDir = args[++i];
+        break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--output':
+        outputFile = args[++i];
+        break;
+      case '--base-ref':
+        options.baseRef = args[++i];
+        break;
+      default:
+        files.push(args[i]);
+    }
+  }
   
-  if (args.length === 0) {
-    console.error('Usage: node validate-scores.js <entity-score-file.json> [<file2.json> ...]');
+  if (options.syncCatalog && !options.catalogSource) {
+    console.error('❌ --sync-catalog requires --catalog');
+    process.exit(1);
+  }
+
+  if (files.length === 0) {
+    console.error('Usage: node validate-scores.js [--config <file>] [--schema <file>] [--template <file> | --registry <file>] [--catalog <dir|export.json> [--sync-catalog]] [--rc <file>] [--rules-dir <dir>] [--format text|json|sarif|github] [--output <file>] [--base-ref <ref>] <entity-score-file.json> [<file2.json> ...]');
     console.error('   or: node validate-scores.js entity-scores/*.json');
     process.exit(1);
   }
 
-  const validator = new ScoreValidator();
+  let validator;
+  try {
+    validator = new ScoreValidator(options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   let allValid = true;
   
   // Validate each file
-  args.forEach((filePath, index) => {
-    if (index > 0) console.log('\n' + '='.repeat(50));
+  files.forEach((filePath, index) => {
+    if (index > 0) validator.log('\n' + '='.repeat(50));
     const isValid = validator.validateFile(filePath);
     if (!isValid) allValid = false;
   });
   
-  validator.printResults();
+  validator.printResults(outputFile);
   process.exit(allValid ? 0 : 1);
 }
 
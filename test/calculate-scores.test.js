@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScoreCalculator } = require('../scripts/calculate-scores');
+const { mergeScoringConfig } = require('../scripts/scoring-config');
+
+const ROOT = path.join(__dirname, '..');
+
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+describe('ScoreCalculator check mode', () => {
+  let fixtureDir;
+
+  // Decay makes the committed overall scores depend on the date as well as the status
+  const config = mergeScoringConfig({ reviewExpiry: { penalty: 'decay', decayPointsPerMonth: 10 } });
+
+  const calculate = options => new ScoreCalculator({
+    entityScoresDir: path.join(fixtureDir, 'entity-scores'),
+    outputFile: path.join(fixtureDir, 'all.json'),
+    config,
+    logger: silentLogger,
+    recordHistory: false,
+    publish: false,
+    calibration: false,
+    rollups: false,
+    ...options
+  }).calculateAllScores();
+
+  const writeEntity = (name, changes) => {
+    const file = path.join(fixtureDir, 'entity-scores', `${name}.json`);
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...data, ...changes }, null, 2), 'utf8');
+  };
+
+  beforeEach(async () => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-calculate-'));
+    fs.mkdirSync(path.join(fixtureDir, 'entity-scores'));
+    ['adminer', 'jenkins'].forEach(name => {
+      fs.copyFileSync(path.join(ROOT, 'entity-scores', `${name}.json`), path.join(fixtureDir, 'entity-scores', `${name}.json`));
+    });
+    writeEntity('adminer', { scoringReviewDate: '2026-01-10T00:00:00.000Z' });
+    writeEntity('jenkins', { scoringReviewDate: '2026-05-20T00:00:00.000Z' });
+
+    await calculate({ today: '2026-06-01' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('reports nothing stale when only the calendar has moved', async () => {
+    const before = fs.readFileSync(path.join(fixtureDir, 'all.json'), 'utf8');
+
+    for (const today of ['2026-03-01', '2026-06-01', '2026-09-01', '2027-12-31']) {
+      const result = await calculate({ today, check: true });
+      expect(result.staleFiles).toEqual([]);
+    }
+    expect(fs.readFileSync(path.join(fixtureDir, 'all.json'), 'utf8')).toBe(before);
+  });
+
+  test('reports all.json stale when a review date changes', async () => {
+    writeEntity('adminer', { scoringReviewDate: '2026-09-15T00:00:00.000Z' });
+
+    const result = await calculate({ today: '2026-10-01', check: true });
+
+    expect(result.staleFiles).toContain(path.join(fixtureDir, 'all.json'));
+  });
+
+  test('a normal run applies the status and penalty of its own date', async () => {
+    await calculate({ today: '2026-09-01' });
+
+    const adminer = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'all.json'), 'utf8'))
+      .find(score => score.entityRef.name === 'adminer');
+    expect(adminer.reviewStatus).toBe('expired');
+    expect(adminer.reviewDueDate).toBe('2026-07-10');
+    expect(adminer.scorePercent).toBe(Math.max(0, adminer.reviewedScore.scorePercent - 20));
+  });
+});
+
+describe('ScoreCalculator publishing', () => {
+  let fixtureDir;
+  let warnings;
+
+  const writeEntity = (file, entityRef) => {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'entity-scores', 'adminer.json'), 'utf8'));
+    fs.writeFileSync(path.join(fixtureDir, 'entity-scores', file), JSON.stringify({ ...data, entityRef }, null, 2), 'utf8');
+  };
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-publish-'));
+    fs.mkdirSync(path.join(fixtureDir, 'entity-scores'));
+    warnings = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('skips entities whose ref cannot be a file path', async () => {
+    writeEntity('adminer.json', { kind: 'component', name: 'adminer' });
+    writeEntity('nameless.json', { kind: 'component' });
+    writeEntity('escape.json', { kind: 'component', name: '../../escaped' });
+    writeEntity('kindless.json', { name: 'kindless' });
+    writeEntity('namespace.json', { kind: 'component', namespace: '../x', name: 'spaced' });
+
+    await new ScoreCalculator({
+      entityScoresDir: path.join(fixtureDir, 'entity-scores'),
+      outputFile: path.join(fixtureDir, 'all.json'),
+      publishDir: path.join(fixtureDir, 'dist'),
+      logger: { ...silentLogger, warn: message => warnings.push(message) },
+      recordHistory: false,
+      calibration: false,
+      rollups: false
+    }).calculateAllScores();
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'dist', 'index.json'), 'utf8'));
+    expect(manifest.entities.map(entity => entity.path)).toEqual(['default/component/adminer.json']);
+    expect(fs.readdirSync(path.join(fixtureDir, 'dist', 'default', 'component'))).toEqual(['adminer.json']);
+    expect(fs.readdirSync(path.join(fixtureDir, 'dist')).sort()).toEqual(['default', 'index.json']);
+    expect(warnings).toHaveLength(4);
+    expect(warnings.join('\n')).toContain('entityRef has no name');
+    expect(warnings.join('\n')).toContain('entityRef has no kind');
+  });
+});
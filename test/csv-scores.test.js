@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScoreCsv, parseCsv } = require('../scripts/csv-scores');
+const { loadScoringConfig } = require('../scripts/scoring-config');
+
+const ROOT = path.join(__dirname, '..');
+const config = loadScoringConfig();
+
+describe('ScoreCsv import', () => {
+  let fixtureDir;
+  let entityScoresDir;
+
+  const entityFile = () => path.join(entityScoresDir, 'adminer.json');
+  const readEntity = () => JSON.parse(fs.readFileSync(entityFile(), 'utf8'));
+  const writeEntity = changes => fs.writeFileSync(entityFile(), JSON.stringify({ ...readEntity(), ...changes }, null, 2), 'utf8');
+  const findEntry = (data, id) => data.areaScores.flatMap(area => area.scoreEntries).find(entry => entry.id === id);
+
+  const importRows = lines => {
+    const csvFile = path.join(fixtureDir, 'meeting.csv');
+    fs.writeFileSync(csvFile, `${lines.join('\n')}\n`, 'utf8');
+    return new ScoreCsv({ entityScoresDir, config }).importCsv(csvFile);
+  };
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-csv-'));
+    entityScoresDir = path.join(fixtureDir, 'entity-scores');
+    fs.mkdirSync(entityScoresDir);
+    fs.copyFileSync(path.join(ROOT, 'entity-scores', 'adminer.json'), entityFile());
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  describe('self scores', () => {
+    test('keep the original score as the self score of a file that was never reviewed', () => {
+      writeEntity({ scoringReviewDate: undefined });
+
+      const result = importRows(['entity,area_id,entry_id,score', 'adminer,40000,40001,60']);
+
+      expect(result.updated).toHaveLength(1);
+      expect(findEntry(readEntity(), 40001)).toMatchObject({ scorePercent: 60, selfScorePercent: 90 });
+    });
+
+    test('do not treat an agreed score from an earlier review as a self score', () => {
+      const result = importRows(['entity,area_id,entry_id,score', 'adminer,40000,40001,60']);
+
+      expect(result.updated).toEqual([]);
+      expect(result.failed[0].errors[0]).toMatch(/entry 40001 was reviewed before, so a score change needs a self_score column/);
+      expect(findEntry(readEntity(), 40001)).toMatchObject({ scorePercent: 90 });
+      expect(findEntry(readEntity(), 40001).selfScorePercent).toBeUndefined();
+    });
+
+    test('take the self score from the sheet after a review', () => {
+      importRows(['entity,area_id,entry_id,self_score,score', 'adminer,40000,40001,95,60']);
+
+      expect(findEntry(readEntity(), 40001)).toMatchObject({ scorePercent: 60, selfScorePercent: 95 });
+    });
+
+    test('leave the self score out when the sheet has a blank one after a review', () => {
+      importRows(['entity,area_id,entry_id,self_score,score', 'adminer,40000,40001,,60']);
+
+      const entry = findEntry(readEntity(), 40001);
+      expect(entry.scorePercent).toBe(60);
+      expect(entry.selfScorePercent).toBeUndefined();
+    });
+  });
+
+  test('relabels an entry whose score changed', () => {
+    importRows(['entity,kind,namespace,area_id,entry_id,self_score,score', 'adminer,component,default,40000,40001,90,20']);
+
+    expect(findEntry(readEntity(), 40001)).toMatchObject({ scorePercent: 20, scoreSuccess: 'failure', scoreLabel: 'Red' });
+  });
+
+  test('writes nothing for an entity when one of its rows fails', () => {
+    const before = fs.readFileSync(entityFile(), 'utf8');
+
+    const result = importRows([
+      'entity,area_id,entry_id,self_score,score',
+      'adminer,40000,40001,90,20',
+      'adminer,40000,40004,90,150'
+    ]);
+
+    expect(result.updated).toEqual([]);
+    expect(result.failed).toEqual([expect.objectContaining({
+      filePath: entityFile(),
+      errors: ['line 3: score must be 0-100 or "unknown", got "150"']
+    })]);
+    expect(fs.readFileSync(entityFile(), 'utf8')).toBe(before);
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted fields with commas, quotes and line breaks', () => {
+    const text = '\uFEFFentity,comments\r\nadminer,"Needs ""owners"", runbooks\nand alerts"\r\n';
+
+    expect(parseCsv(text)).toEqual([['entity', 'comments'], ['adminer', 'Needs "owners", runbooks\nand alerts']]);
+  });
+
+  test('keeps empty fields and skips blank lines', () => {
+    expect(parseCsv('a,b,c\n\n1,,3\n,,\n4,5,')).toEqual([['a', 'b', 'c'], ['1', '', '3'], ['4', '5', '']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\n')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('ScoreCsv round trip', () => {
+  let fixtureDir;
+  let entityScoresDir;
+
+  const csvFile = () => path.join(fixtureDir, 'scores.csv');
+  const readFiles = () => fs.readdirSync(entityScoresDir).sort().map(file => fs.readFileSync(path.join(entityScoresDir, file), 'utf8'));
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-csv-'));
+    entityScoresDir = path.join(fixtureDir, 'entity-scores');
+    fs.mkdirSync(entityScoresDir);
+    ['adminer', 'jenkins'].forEach(name => {
+      fs.copyFileSync(path.join(ROOT, 'entity-scores', `${name}.json`), path.join(entityScoresDir, `${name}.json`));
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('imports an unedited export without changing any file', () => {
+    const csv = new ScoreCsv({ entityScoresDir, config });
+    const before = readFiles();
+    fs.writeFileSync(csvFile(), csv.toCsv(csv.exportRows()), 'utf8');
+
+    const result = csv.importCsv(csvFile());
+
+    expect(result).toMatchObject({ updated: [], failed: [], rowErrors: [] });
+    expect(result.unchanged).toHaveLength(2);
+    expect(readFiles()).toEqual(before);
+  });
+
+  test('imports edited cells and exports them again unchanged', () => {
+    const csv = new ScoreCsv({ entityScoresDir, config });
+    const rows = csv.exportRows();
+    const edited = rows.find(row => row.entity === 'adminer' && row.entry_id === 40001);
+    Object.assign(edited, {
+      self_score: 90,
+      score: 55,
+      comments: 'Backups run nightly, "mostly"\nRestore is untested',
+      improvement_plan: 'Add a restore drill'
+    });
+    fs.writeFileSync(csvFile(), csv.toCsv(rows), 'utf8');
+
+    const result = csv.importCsv(csvFile());
+
+    expect(result.failed).toEqual([]);
+    expect(result.updated.map(update => path.basename(update.filePath))).toEqual(['adminer.json']);
+    expect(csv.exportRows()).toEqual(rows);
+  });
+});
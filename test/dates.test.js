@@ -0,0 +1,16 @@
+const { getToday, isValidDate } = require('../scripts/dates');
+
+describe('isValidDate', () => {
+  test.each(['2026-01-31', '2024-02-29', '2026-12-01'])('accepts %s', value => {
+    expect(isValidDate(value)).toBe(true);
+  });
+
+  test.each(['2026-02-29', '2026-13-01', '2026-1-5', '2026-01-31T00:00:00Z', '', null, 20260131])('rejects %p', value => {
+    expect(isValidDate(value)).toBe(false);
+  });
+});
+
+test('getToday is a valid UTC date', () => {
+  expect(isValidDate(getToday())).toBe(true);
+  expect(getToday()).toBe(new Date().toISOString().slice(0, 10));
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { createScorecard } = require('..');
+const { ScoreValidator } = require('../scripts/validate-scores');
+const { ScoreCalculator } = require('../scripts/calculate-scores');
+
+const ROOT = path.join(__dirname, '..');
+const adminer = JSON.parse(fs.readFileSync(path.join(ROOT, 'entity-scores', 'adminer.json'), 'utf8'));
+
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+// Nested sections only name the keys they change, as index.d.ts allows
+const partialConfig = { reviewExpiry: { penalty: 'cap', cap: 40 }, rounding: { decimals: 1 } };
+
+describe('partial scoring configs', () => {
+  test('ScoreValidator completes a partial config with the defaults', () => {
+    const validator = new ScoreValidator({ config: partialConfig, logger: silentLogger });
+
+    expect(validator.config.reviewExpiry).toMatchObject({ penalty: 'cap', cap: 40, dueSoonDays: 30 });
+    expect(validator.config.actionItems.overdue).toBeDefined();
+    expect(validator.validateData(adminer).valid).toBe(true);
+  });
+
+  test('ScoreCalculator completes a partial config with the defaults', () => {
+    const calculator = new ScoreCalculator({ config: partialConfig, logger: silentLogger, today: '2026-01-10' });
+
+    const { scores, errors } = calculator.calculateScores([adminer]);
+
+    expect(errors).toEqual([]);
+    expect(scores[0].entityRef.name).toBe('adminer');
+    expect(Object.keys(calculator.config.successBands)).toContain('success');
+  });
+
+  test('createScorecard scores with a partial config', () => {
+    const scorecard = createScorecard({ config: partialConfig, today: '2027-01-01' });
+
+    expect(scorecard.validate(adminer).valid).toBe(true);
+    const score = scorecard.calculate(adminer);
+    expect(score.reviewStatus).toBe('expired');
+    expect(score.scorePercent).toBeLessThanOrEqual(40);
+  });
+});
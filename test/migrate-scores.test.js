@@ -0,0 +1,87 @@
+const { ScoreMigrator } = require('../scripts/migrate-scores');
+
+const template = {
+  templateVersion: '2.0.0',
+  rubric: 'service',
+  areaScores: [
+    {
+      id: 100,
+      title: 'Operations',
+      weight: 2,
+      scoreEntries: [
+        { id: 101, title: 'Alerting', scorePercent: 0, scoreSuccess: 'unknown' },
+        { id: 102, title: 'Runbooks', scorePercent: 0, scoreSuccess: 'unknown' },
+        { id: 103, title: 'Backups', scorePercent: 0, scoreSuccess: 'unknown' }
+      ]
+    }
+  ]
+};
+
+const scored = (id, title, scorePercent) => ({ id, title, scorePercent, scoreSuccess: 'partial', scoreHint: `${title} notes` });
+
+const migrate = (areaScores, options = {}) => new ScoreMigrator({ template, ...options })
+  .migrate({ entityRef: { kind: 'component', name: 'adminer' }, areaScores });
+
+describe('ScoreMigrator.migrate', () => {
+  test('keeps entries that match by id', () => {
+    const { data, report } = migrate([{ id: 100, title: 'Operations', scoreEntries: [scored(101, 'Alerting', 60)] }]);
+
+    expect(data.areaScores[0].scoreEntries[0]).toEqual(scored(101, 'Alerting', 60));
+    expect(report.kept).toEqual(['Operations / Alerting']);
+    expect(report.added).toEqual(['Operations / Runbooks', 'Operations / Backups']);
+  });
+
+  test('retitles entries that match by title', () => {
+    const { data, report } = migrate([{ id: 9, title: 'operations ', scoreEntries: [scored(7, ' RUNBOOKS', 70)] }]);
+
+    expect(data.areaScores[0]).toMatchObject({ id: 100, title: 'Operations', weight: 2 });
+    expect(data.areaScores[0].scoreEntries[1]).toMatchObject({ id: 102, title: 'Runbooks', scorePercent: 70, scoreHint: ' RUNBOOKS notes' });
+    expect(report.retitled).toEqual(['7 " RUNBOOKS" → 102 "Runbooks"']);
+  });
+
+  test('moves entries by the id mapping', () => {
+    const mapping = { areas: { 20: 100 }, entries: { 21: 103 } };
+
+    const { data, report } = migrate([{ id: 20, title: 'Ops', scoreEntries: [scored(21, 'Restore drills', 40)] }], { mapping });
+
+    expect(data.areaScores).toHaveLength(1);
+    expect(data.areaScores[0].scoreEntries[2]).toMatchObject({ id: 103, title: 'Backups', scorePercent: 40 });
+    expect(report.unmatched).toEqual([]);
+  });
+
+  test('prefers an exact id match over a title match', () => {
+    const { data } = migrate([{
+      id: 100,
+      title: 'Operations',
+      scoreEntries: [scored(5, 'Alerting', 10), scored(101, 'Paging', 90)]
+    }]);
+
+    expect(data.areaScores[0].scoreEntries[0]).toMatchObject({ id: 101, title: 'Alerting', scorePercent: 90 });
+  });
+
+  test('finds entries that moved to another area', () => {
+    const { data } = migrate([{ id: 200, title: 'Legacy', scoreEntries: [scored(102, 'Runbooks', 80)] }]);
+
+    expect(data.areaScores[0].scoreEntries[1]).toMatchObject({ id: 102, scorePercent: 80 });
+    expect(data.areaScores).toHaveLength(1);
+  });
+
+  test('keeps entries the template does not know unless asked to drop them', () => {
+    const areaScores = [{ id: 100, title: 'Operations', scoreEntries: [scored(101, 'Alerting', 60), scored(150, 'Chaos drills', 30)] }];
+
+    const kept = migrate(areaScores);
+    expect(kept.data.areaScores[0].scoreEntries.map(entry => entry.id)).toEqual([101, 102, 103, 150]);
+    expect(kept.report.unmatched).toEqual(['100 Operations / 150 Chaos drills']);
+
+    const dropped = migrate(areaScores, { dropUnknown: true });
+    expect(dropped.data.areaScores[0].scoreEntries.map(entry => entry.id)).toEqual([101, 102, 103]);
+  });
+
+  test('stamps the template version and rubric', () => {
+    const { data, report } = migrate([]);
+
+    expect(Object.keys(data)).toEqual(['templateVersion', 'rubric', 'entityRef', 'areaScores']);
+    expect(data).toMatchObject({ templateVersion: '2.0.0', rubric: 'service' });
+    expect(report.rubric).toBe('service');
+  });
+});
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PRMergeProcessor } = require('../scripts/process-pr-merge');
+const { loadScoringConfig } = require('../scripts/scoring-config');
+
+const ROOT = path.join(__dirname, '..');
+const config = loadScoringConfig();
+
+describe('PRMergeProcessor.parseNameStatus', () => {
+  const processor = new PRMergeProcessor({ config });
+
+  test('parses additions, edits, deletions, renames and copies', () => {
+    const output = [
+      'A\tentity-scores/new.json',
+      'M\tentity-scores/adminer.json',
+      'D\tentity-scores/old.json',
+      'R087\tentity-scores/adminer.json\tentity-scores/adminer-db.json',
+      'C075\tentity-scores/adminer.json\tentity-scores/copy.json',
+      'T\tREADME.md',
+      ''
+    ].join('\n');
+
+    expect(processor.parseNameStatus(output)).toEqual([
+      { type: 'added', file: 'entity-scores/new.json' },
+      { type: 'modified', file: 'entity-scores/adminer.json' },
+      { type: 'deleted', file: 'entity-scores/old.json' },
+      { type: 'renamed', previousFile: 'entity-scores/adminer.json', file: 'entity-scores/adminer-db.json' },
+      { type: 'added', previousFile: undefined, file: 'entity-scores/copy.json' },
+      { type: 'modified', file: 'README.md' }
+    ]);
+  });
+
+  test('returns nothing for an empty diff', () => {
+    expect(processor.parseNameStatus('\n')).toEqual([]);
+  });
+});
+
+describe('PRMergeProcessor.getEntityScoreChanges', () => {
+  test('keeps entity files and turns moves across the directory into additions and deletions', () => {
+    const processor = new PRMergeProcessor({ config });
+    processor.changes = [
+      { type: 'modified', file: 'README.md' },
+      { type: 'modified', file: 'entity-scores/nested/ignored.json' },
+      { type: 'renamed', previousFile: 'entity-scores/a.json', file: 'entity-scores/b.json' },
+      { type: 'renamed', previousFile: 'drafts/c.json', file: 'entity-scores/c.json' },
+      { type: 'renamed', previousFile: 'entity-scores/d.json', file: 'drafts/d.json' },
+      { type: 'renamed', previousFile: 'drafts/e.json', file: 'drafts/f.json' }
+    ];
+
+    expect(processor.getEntityScoreChanges()).toEqual([
+      { type: 'renamed', previousFile: 'entity-scores/a.json', file: 'entity-scores/b.json' },
+      { type: 'added', file: 'entity-scores/c.json' },
+      { type: 'deleted', file: 'entity-scores/d.json' }
+    ]);
+  });
+});
+
+describe('PRMergeProcessor with renamed and deleted entity files', () => {
+  let repoDir;
+  let previousDir;
+  let baseSha;
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    encoding: 'utf8'
+  });
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(repoDir, file), 'utf8'));
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-merge-'));
+    ['entity-scores', 'history/default/component'].forEach(dir => fs.mkdirSync(path.join(repoDir, dir), { recursive: true }));
+    ['adminer', 'bytebase', 'jenkins'].forEach(name => {
+      fs.copyFileSync(path.join(ROOT, 'entity-scores', `${name}.json`), path.join(repoDir, 'entity-scores', `${name}.json`));
+      fs.copyFileSync(path.join(ROOT, 'history', 'default', 'component', `${name}.jsonl`), path.join(repoDir, 'history', 'default', 'component', `${name}.jsonl`));
+    });
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Base');
+    baseSha = git('rev-parse', 'HEAD').trim();
+
+    // The PR renames adminer to adminer-db and removes bytebase
+    git('mv', 'entity-scores/adminer.json', 'entity-scores/adminer-db.json');
+    const renamed = readJson('entity-scores/adminer-db.json');
+    renamed.entityRef.name = 'adminer-db';
+    fs.writeFileSync(path.join(repoDir, 'entity-scores', 'adminer-db.json'), JSON.stringify(renamed, null, 2), 'utf8');
+    git('rm', '-q', 'entity-scores/bytebase.json');
+    git('commit', '-q', '-am', 'Rename adminer, remove bytebase');
+
+    previousDir = process.cwd();
+    process.chdir(repoDir);
+    delete process.env.GITHUB_EVENT_PATH;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(previousDir);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test('detects the rename and the deletion against the base commit', () => {
+    const processor = new PRMergeProcessor({ config, baseSha });
+    processor.getChangedFiles();
+
+    expect(processor.getEntityScoreChanges()).toEqual([
+      { type: 'renamed', previousFile: 'entity-scores/adminer.json', file: 'entity-scores/adminer-db.json' },
+      { type: 'deleted', file: 'entity-scores/bytebase.json' }
+    ]);
+    expect(processor.filterEntityScoreFiles()).toEqual(['entity-scores/adminer-db.json']);
+  });
+
+  test('moves the history of renamed entities and archives the history of deleted ones', () => {
+    const processor = new PRMergeProcessor({ config, baseSha });
+    processor.getChangedFiles();
+    const changes = processor.getEntityScoreChanges();
+    const readSnapshots = file => fs.readFileSync(path.join(repoDir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const history = readSnapshots('history/default/component/adminer.jsonl');
+
+    processor.applyHistoryChanges(changes);
+
+    expect(fs.existsSync(path.join(repoDir, 'history/default/component/adminer.jsonl'))).toBe(false);
+    // The moved snapshots keep their scores and dates under the new entity name
+    expect(readSnapshots('history/default/component/adminer-db.jsonl')).toEqual(
+      history.map(snapshot => ({ ...snapshot, entityRef: { kind: 'component', name: 'adminer-db' } }))
+    );
+    expect(fs.existsSync(path.join(repoDir, 'history/default/component/bytebase.jsonl'))).toBe(false);
+    expect(fs.existsSync(path.join(repoDir, 'history/archive/default/component/bytebase.jsonl'))).toBe(true);
+    expect(changes[0].previousEntityRef).toEqual({ kind: 'component', name: 'adminer' });
+    expect(changes[0].entityRef).toEqual({ kind: 'component', name: 'adminer-db' });
+    expect(changes[1].entityRef).toEqual({ kind: 'component', name: 'bytebase' });
+  });
+
+  test('drops the deleted entity from all.json and lists both changes in the comment', async () => {
+    const processor = new PRMergeProcessor({ config, baseSha, publishMode: 'none' });
+
+    const result = await processor.processPRMerge();
+
+    expect(result.success).toBe(true);
+    const names = readJson('all.json').map(entity => entity.entityRef.name).sort();
+    expect(names).toEqual(expect.arrayContaining(['adminer-db', 'jenkins']));
+    expect(names).not.toContain('adminer');
+    expect(names).not.toContain('bytebase');
+
+    const comment = processor.generatePRComment(result);
+    expect(comment).toContain('🔀 Renamed `adminer` → `adminer-db` (history carried over)');
+    expect(comment).toContain('🗑️ Removed `bytebase`');
+  });
+});
+
+describe('PRMergeProcessor publishing to a remote', () => {
+  const COMMIT_MESSAGE = '🤖 Update aggregated scores from entity assessments [skip ci]';
+
+  let fixtureDir;
+  let repoDir;
+  let remoteDir;
+  let previousDir;
+  let baseSha;
+
+  const run = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const remoteLog = branch => run(remoteDir, 'log', '--format=%s', branch).trim().split('\n');
+
+  // Another PR merged into main after this one, before its scores are published
+  const pushRacingMerge = () => {
+    const otherDir = path.join(fixtureDir, 'other');
+    run(fixtureDir, 'clone', '-q', remoteDir, otherDir);
+    const file = path.join(otherDir, 'entity-scores', 'jenkins.json');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.areaScores[0].scoreEntries[0].details = 'Setup guide rewritten for the new agents';
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    run(otherDir, 'commit', '-q', '-am', 'Racing merge');
+    run(otherDir, 'push', '-q', 'origin', 'main');
+  };
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-publish-'));
+    remoteDir = path.join(fixtureDir, 'remote.git');
+    repoDir = path.join(fixtureDir, 'work');
+    const seedDir = path.join(fixtureDir, 'seed');
+
+    fs.mkdirSync(path.join(seedDir, 'entity-scores'), { recursive: true });
+    ['adminer', 'jenkins'].forEach(name => {
+      fs.copyFileSync(path.join(ROOT, 'entity-scores', `${name}.json`), path.join(seedDir, 'entity-scores', `${name}.json`));
+    });
+    run(fixtureDir, 'init', '-q', '-b', 'main', seedDir);
+    run(seedDir, 'add', '-A');
+    run(seedDir, 'commit', '-q', '-m', 'Base');
+    baseSha = run(seedDir, 'rev-parse', 'HEAD').trim();
+
+    // The merged PR changes one adminer score
+    const file = path.join(seedDir, 'entity-scores', 'adminer.json');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.areaScores[1].scoreEntries[0].scorePercent = 50;
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    run(seedDir, 'commit', '-q', '-am', 'Merge self-review');
+
+    run(fixtureDir, 'clone', '-q', '--bare', seedDir, remoteDir);
+    run(fixtureDir, 'clone', '-q', remoteDir, repoDir);
+
+    previousDir = process.cwd();
+    process.chdir(repoDir);
+    delete process.env.GITHUB_EVENT_PATH;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(previousDir);
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('pushes the generated commit onto the target branch', async () => {
+    const processor = new PRMergeProcessor({ config, baseSha });
+
+    const result = await processor.processPRMerge();
+
+    expect(result.success).toBe(true);
+    expect(result.publish).toEqual({ mode: 'push', committed: true, branch: 'main', attempts: 1 });
+    expect(remoteLog('main').slice(0, 2)).toEqual([COMMIT_MESSAGE, 'Merge self-review']);
+  });
+
+  test('rebases onto a merge that got there first and recalculates before pushing again', async () => {
+    pushRacingMerge();
+    const processor = new PRMergeProcessor({ config, baseSha });
+
+    const result = await processor.processPRMerge();
+
+    expect(result.success).toBe(true);
+    expect(result.publish.attempts).toBe(2);
+    expect(remoteLog('main').slice(0, 3)).toEqual([COMMIT_MESSAGE, 'Racing merge', 'Merge self-review']);
+
+    // The published entity file carries both merges
+    const jenkins = JSON.parse(run(remoteDir, 'show', 'main:entity-scores/jenkins.json'));
+    expect(jenkins.areaScores[0].scoreEntries[0].details).toBe('Setup guide rewritten for the new agents');
+    const allJson = JSON.parse(run(remoteDir, 'show', 'main:all.json'));
+    expect(allJson.map(entity => entity.entityRef.name)).toEqual(expect.arrayContaining(['adminer', 'jenkins']));
+  });
+
+  test('gives up after the last attempt is rejected', async () => {
+    const hook = path.join(remoteDir, 'hooks', 'pre-receive');
+    fs.writeFileSync(hook, '#!/bin/sh\necho "branch is locked" >&2\nexit 1\n', 'utf8');
+    fs.chmodSync(hook, 0o755);
+    const processor = new PRMergeProcessor({ config, baseSha, maxAttempts: 2 });
+
+    const result = await processor.processPRMerge();
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Could not push the updated scores to main after 2 attempts.',
+      publishFailed: true
+    });
+    expect(remoteLog('main')[0]).toBe('Merge self-review');
+    expect(processor.generatePRComment(result)).toContain('re-run this workflow to publish their scores');
+  });
+
+  test('pushes a bot branch and opens a pull request in pr mode', () => {
+    // A gh stand-in that finds no open PR and prints the URL of the one it creates
+    const binDir = path.join(fixtureDir, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'gh'), [
+      '#!/bin/sh',
+      `echo "$*" >> "${path.join(binDir, 'gh.log')}"`,
+      'if [ "$2" = "create" ]; then echo "https://github.com/example/scorecards/pull/7"; fi',
+      ''
+    ].join('\n'), 'utf8');
+    fs.chmodSync(path.join(binDir, 'gh'), 0o755);
+
+    // Run through the CLI, since only a child process sees the PATH with the stand-in
+    const commentFile = path.join(fixtureDir, 'comment.md');
+    execFileSync(process.execPath, [
+      path.join(ROOT, 'scripts', 'process-pr-merge.js'),
+      '--base-sha', baseSha,
+      '--publish', 'pr',
+      '--bot-branch', 'scorecard/update-scores-42',
+      '--comment-file', commentFile
+    ], {
+      cwd: repoDir,
+      env: { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      stdio: 'ignore'
+    });
+
+    expect(fs.readFileSync(commentFile, 'utf8')).toContain(
+      '- Pushed to `scorecard/update-scores-42` for review: https://github.com/example/scorecards/pull/7'
+    );
+    expect(remoteLog('scorecard/update-scores-42')[0]).toBe(COMMIT_MESSAGE);
+    expect(remoteLog('main')[0]).toBe('Merge self-review');
+
+    const calls = fs.readFileSync(path.join(binDir, 'gh.log'), 'utf8').trim().split('\n');
+    expect(calls[0]).toMatch(/^pr list --head scorecard\/update-scores-42 --base main /);
+    expect(calls[1]).toMatch(/^pr create --head scorecard\/update-scores-42 --base main /);
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScoreHistory } = require('../scripts/score-history');
+const { ScoreCalculator } = require('../scripts/calculate-scores');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('ScoreHistory.getHistoryPath', () => {
+  const history = new ScoreHistory({ historyDir: 'history' });
+
+  test('keys history by namespace, kind and name', () => {
+    expect(history.getHistoryPath({ kind: 'Component', name: 'adminer' })).toBe(path.join('default', 'component', 'adminer.jsonl'));
+    expect(history.getHistoryPath({ kind: 'api', namespace: 'Payments', name: 'adminer' })).toBe(path.join('payments', 'api', 'adminer.jsonl'));
+  });
+
+  test.each([
+    [{ kind: 'component' }, 'entityRef has no name'],
+    [{ name: 'adminer' }, 'entityRef has no kind'],
+    [{ kind: 'component', name: '../../outside' }, 'entityRef name "../../outside" is not a valid Backstage name'],
+    [{ kind: 'component', namespace: '..', name: 'adminer' }, 'entityRef namespace ".." is not a valid Backstage namespace'],
+    [null, 'entityRef is missing']
+  ])('rejects %j', (entityRef, message) => {
+    expect(() => history.getHistoryPath(entityRef)).toThrow(`Invalid history ref: ${message}`);
+  });
+});
+
+describe('ScoreCalculator history', () => {
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-history-'));
+    fs.mkdirSync(path.join(fixtureDir, 'entity-scores'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('records no snapshots for entities without a usable ref', async () => {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'entity-scores', 'adminer.json'), 'utf8'));
+    [['adminer', data.entityRef], ['first', { kind: 'component' }], ['second', { kind: 'component' }]].forEach(([file, entityRef]) => {
+      fs.writeFileSync(path.join(fixtureDir, 'entity-scores', `${file}.json`), JSON.stringify({ ...data, entityRef }, null, 2), 'utf8');
+    });
+    const warnings = [];
+
+    await new ScoreCalculator({
+      entityScoresDir: path.join(fixtureDir, 'entity-scores'),
+      outputFile: path.join(fixtureDir, 'all.json'),
+      historyDir: path.join(fixtureDir, 'history'),
+      logger: { log() {}, error() {}, warn: message => warnings.push(message) },
+      publish: false,
+      calibration: false,
+      rollups: false
+    }).calculateAllScores();
+
+    expect(new ScoreHistory({ historyDir: path.join(fixtureDir, 'history') }).listHistoryFiles())
+      .toEqual([path.join(fixtureDir, 'history', 'default', 'component', 'adminer.jsonl')]);
+    expect(warnings.filter(message => message.includes('Not recording history'))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SCORING_CONFIG, loadScoringConfig, mergeScoringConfig } = require('../scripts/scoring-config');
+
+describe('mergeScoringConfig', () => {
+  test('returns the defaults without overrides', () => {
+    expect(mergeScoringConfig()).toEqual(DEFAULT_SCORING_CONFIG);
+  });
+
+  test('keeps the default keys of partially overridden sections', () => {
+    const config = mergeScoringConfig({ rounding: { decimals: 2 }, reviewExpiry: { penalty: 'cap', months: { api: 3 } } });
+
+    expect(config.rounding).toEqual({ method: 'round', decimals: 2 });
+    expect(config.reviewExpiry).toMatchObject({ penalty: 'cap', cap: 50, dueSoonDays: 30 });
+    expect(config.reviewExpiry.months).toEqual({ default: 6, api: 3 });
+  });
+
+  test('replaces bands as a whole', () => {
+    const colorBands = { Green: { min: 50, max: 100 }, Red: { min: 0, max: 49 } };
+
+    expect(mergeScoringConfig({ colorBands }).colorBands).toEqual(colorBands);
+  });
+
+  test('adds sign-off rules next to the default quorum', () => {
+    const config = mergeScoringConfig({
+      signOff: {
+        reviewers: { octocat: { role: 'sre' } },
+        quorum: { Operations: { approvals: 1, roles: ['sre'] } }
+      }
+    });
+
+    expect(config.signOff.quorum).toEqual({ default: { approvals: 0 }, Operations: { approvals: 1, roles: ['sre'] } });
+    expect(config.signOff.reviewers).toEqual({ octocat: { role: 'sre' } });
+  });
+
+  test('does not change the defaults', () => {
+    mergeScoringConfig({ reviewExpiry: { months: { api: 3 } }, signOff: { quorum: { Operations: { approvals: 1 } } } });
+
+    expect(DEFAULT_SCORING_CONFIG.reviewExpiry.months).toEqual({ default: 6 });
+    expect(DEFAULT_SCORING_CONFIG.signOff.quorum).toEqual({ default: { approvals: 0 } });
+  });
+});
+
+describe('scoring config validation', () => {
+  test.each([
+    [{ successBands: {} }, 'successBands must be a non-empty object'],
+    [{ colorBands: [] }, 'colorBands must be a non-empty object'],
+    [{ successBands: { success: { min: 90, max: 80 } } }, 'successBands.success must define numeric min <= max'],
+    [{ rounding: { method: 'truncate' } }, 'rounding.method must be one of: round, floor, ceil'],
+    [{ rounding: { decimals: 1.5 } }, 'rounding.decimals must be a non-negative integer'],
+    [{ aggregation: 'median' }, 'aggregation must be one of: mean, weighted, minimum'],
+    [{ coverage: { unknownEntries: 'ignore' } }, 'coverage.unknownEntries must be one of: exclude, zero'],
+    [{ reviewExpiry: { months: { api: 0 } } }, 'reviewExpiry.months must map entity kinds'],
+    [{ reviewExpiry: { penalty: 'drop' } }, 'reviewExpiry.penalty must be one of: none, decay, cap'],
+    [{ reviewExpiry: { cap: 101 } }, 'reviewExpiry.cap must be a number between 0 and 100'],
+    [{ actionItems: { ownerPattern: '(' } }, 'actionItems.ownerPattern is not a valid regular expression'],
+    [{ rollups: { kinds: ['team'] } }, 'rollups.kinds must be a list of: system, domain, group'],
+    [{ rollups: { defaultCriticality: 'urgent' } }, 'rollups.defaultCriticality must be one of: critical, high, medium, low'],
+    [{ signOff: { reviewers: { octocat: { name: 'Octo' } } } }, 'signOff.reviewers.octocat must have a role'],
+    [{ signOff: { quorum: { Operations: { approvals: -1 } } } }, 'signOff.quorum.Operations.approvals must be a non-negative integer']
+  ])('rejects %j', (overrides, message) => {
+    expect(() => mergeScoringConfig(overrides)).toThrow(message);
+  });
+});
+
+describe('loadScoringConfig', () => {
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('merges the file with the defaults', () => {
+    const configFile = path.join(fixtureDir, 'scorecard.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ aggregation: 'minimum' }), 'utf8');
+
+    expect(loadScoringConfig(configFile)).toEqual({ ...DEFAULT_SCORING_CONFIG, aggregation: 'minimum' });
+  });
+
+  test('names the file when its policy is invalid', () => {
+    const configFile = path.join(fixtureDir, 'scorecard.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ aggregation: 'median' }), 'utf8');
+
+    expect(() => loadScoringConfig(configFile)).toThrow(`Invalid scoring config ${configFile}: aggregation must be one of`);
+  });
+
+  test('requires a config file it was given', () => {
+    expect(() => loadScoringConfig(path.join(fixtureDir, 'missing.json'))).toThrow('Scoring config not found');
+  });
+});
@@ -0,0 +1,147 @@
+const { calculateAreaScore, calculateOverallScore, getScoreFields, getScoreLabel, getScoreSuccess } = require('../scripts/scoring');
+const { mergeScoringConfig } = require('../scripts/scoring-config');
+
+const entry = (scorePercent, extra = {}) => ({ scorePercent, scoreSuccess: 'success', ...extra });
+const unknown = (extra = {}) => ({ scorePercent: 0, scoreSuccess: 'unknown', ...extra });
+
+describe('calculateAreaScore', () => {
+  test('weights entries by their declared weight', () => {
+    const area = { scoreEntries: [entry(100, { weight: 3 }), entry(0, { weight: 1 })] };
+
+    expect(calculateAreaScore(area)).toEqual({ scorePercent: 75, coveragePercent: 100, scoredEntries: 2, unknownEntries: 0 });
+  });
+
+  test('leaves zero-weight and optional entries out', () => {
+    const area = { scoreEntries: [entry(80, { weight: 2 }), entry(0, { weight: 0 }), entry(0, { isOptional: true })] };
+
+    expect(calculateAreaScore(area)).toMatchObject({ scorePercent: 80, scoredEntries: 1 });
+  });
+
+  test('gives undeclared entries the mean of the non-zero declared weights', () => {
+    // Default weight is (4 + 2) / 2 = 3; a zero weight must not pull it down to 2
+    const area = { scoreEntries: [entry(100, { weight: 4 }), entry(100, { weight: 2 }), entry(0, { weight: 0 }), entry(0)] };
+
+    expect(calculateAreaScore(area).scorePercent).toBeCloseTo(600 / 9);
+  });
+
+  test('weights every entry equally without declared weights', () => {
+    expect(calculateAreaScore({ scoreEntries: [entry(90), entry(30)] }).scorePercent).toBe(60);
+  });
+
+  test('ignores weights under the mean aggregation', () => {
+    const area = { scoreEntries: [entry(100, { weight: 3 }), entry(0, { weight: 1 })] };
+
+    expect(calculateAreaScore(area, mergeScoringConfig({ aggregation: 'mean' })).scorePercent).toBe(50);
+  });
+
+  test('excludes unknown entries from the score but not from coverage', () => {
+    const area = { scoreEntries: [entry(90), entry(60), unknown()] };
+
+    expect(calculateAreaScore(area)).toEqual({ scorePercent: 75, coveragePercent: 66, scoredEntries: 2, unknownEntries: 1 });
+  });
+
+  test('counts unknown entries as 0 under the zero policy', () => {
+    const area = { scoreEntries: [entry(90), entry(60), unknown()] };
+    const config = mergeScoringConfig({ coverage: { unknownEntries: 'zero' } });
+
+    expect(calculateAreaScore(area, config)).toEqual({ scorePercent: 50, coveragePercent: 66, scoredEntries: 2, unknownEntries: 1 });
+  });
+
+  test('has no score when every entry is unknown', () => {
+    expect(calculateAreaScore({ scoreEntries: [unknown(), unknown()] })).toEqual({
+      scorePercent: null,
+      coveragePercent: 0,
+      scoredEntries: 0,
+      unknownEntries: 2
+    });
+  });
+
+  test('has neither score nor coverage without entries', () => {
+    expect(calculateAreaScore({})).toMatchObject({ scorePercent: null, coveragePercent: null });
+  });
+});
+
+describe('calculateOverallScore', () => {
+  const areas = [
+    { scorePercent: 100, coveragePercent: 100, weight: 3 },
+    { scorePercent: 20, coveragePercent: 50, weight: 1 }
+  ];
+
+  test('weights areas by their declared weight', () => {
+    expect(calculateOverallScore(areas)).toEqual({ scorePercent: 80, coveragePercent: 87 });
+  });
+
+  test('averages areas under the mean aggregation', () => {
+    expect(calculateOverallScore(areas, mergeScoringConfig({ aggregation: 'mean' })).scorePercent).toBe(60);
+  });
+
+  test('takes the lowest area under the minimum aggregation', () => {
+    expect(calculateOverallScore(areas, mergeScoringConfig({ aggregation: 'minimum' }))).toEqual({ scorePercent: 20, coveragePercent: 87 });
+  });
+
+  test('counts a genuine 0 but skips areas without a score', () => {
+    const overall = calculateOverallScore([
+      { scorePercent: 0, coveragePercent: 100 },
+      { scorePercent: null, coveragePercent: 0 },
+      { scorePercent: 60, coveragePercent: 100 }
+    ]);
+
+    expect(overall).toEqual({ scorePercent: 30, coveragePercent: 66 });
+  });
+
+  test('leaves zero-weight areas out of score and coverage', () => {
+    expect(calculateOverallScore([...areas, { scorePercent: 0, coveragePercent: 0, weight: 0 }])).toEqual({ scorePercent: 80, coveragePercent: 87 });
+  });
+
+  test('has no score when no area has one', () => {
+    expect(calculateOverallScore([{ scorePercent: null, coveragePercent: 0 }], mergeScoringConfig({ aggregation: 'minimum' })).scorePercent).toBeNull();
+  });
+});
+
+describe('score bands', () => {
+  // Two decimals, so the fractional scores below reach the bands unrounded
+  const precise = mergeScoringConfig({ rounding: { decimals: 2 } });
+
+  test.each([
+    [100, 'success', 'Green'],
+    [80, 'success', 'Green'],
+    [79.99, 'almost-success', 'Green'],
+    [70, 'almost-success', 'Green'],
+    [69.5, 'partial', 'Yellow'],
+    [30, 'almost-failure', 'Yellow'],
+    [29.99, 'failure', 'Red'],
+    [0, 'failure', 'Red']
+  ])('puts %p in %s and %s', (percent, success, label) => {
+    expect(getScoreSuccess(percent, precise)).toBe(success);
+    expect(getScoreLabel(percent, precise)).toBe(label);
+  });
+
+  test('matches nothing above the top band or below the bottom one', () => {
+    expect(getScoreSuccess(100.5, precise)).toBeNull();
+    expect(getScoreLabel(-1)).toBeNull();
+  });
+
+  test('bands the rounded score', () => {
+    expect(getScoreFields(79.5)).toEqual({ scorePercent: 80, scoreLabel: 'Green', scoreSuccess: 'success' });
+    expect(getScoreFields(79.5, mergeScoringConfig({ rounding: { decimals: 1 } }))).toEqual({
+      scorePercent: 79.5,
+      scoreLabel: 'Green',
+      scoreSuccess: 'almost-success'
+    });
+    expect(getScoreFields(79.5, mergeScoringConfig({ rounding: { method: 'floor' } })).scoreSuccess).toBe('almost-success');
+  });
+
+  test('uses the configured bands whatever order they are declared in', () => {
+    const config = mergeScoringConfig({
+      rounding: { decimals: 1 },
+      successBands: { failure: { min: 0, max: 89 }, success: { min: 90, max: 100 } }
+    });
+
+    expect(getScoreSuccess(89.9, config)).toBe('failure');
+    expect(getScoreSuccess(90, config)).toBe('success');
+  });
+
+  test('scores a missing percentage as unknown', () => {
+    expect(getScoreFields(null)).toEqual({ scorePercent: 0, scoreLabel: 'Red', scoreSuccess: 'unknown' });
+  });
+});
@@ -0,0 +1,52 @@
+const net = require('net');
+const path = require('path');
+const { ScoreServer } = require('../scripts/serve-scores');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('ScoreServer', () => {
+  let server;
+  let port;
+
+  // Raw requests, so headers and paths reach the server exactly as written
+  const request = lines => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(`${lines.join('\r\n')}\r\n\r\n`));
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+  });
+  const statusOf = response => Number(response.split(' ')[1]);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = new ScoreServer({ port: 0, watch: false, entityScoresDir: path.join(ROOT, 'entity-scores') });
+    port = (await server.start()).address().port;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('serves all.json', async () => {
+    const response = await request(['GET /all.json HTTP/1.1', 'Host: localhost', 'Connection: close']);
+    expect(statusOf(response)).toBe(200);
+  });
+
+  test('answers a malformed Host header with the page instead of crashing', async () => {
+    const response = await request(['GET /all.json HTTP/1.1', 'Host: a b', 'Connection: close']);
+    expect(statusOf(response)).toBe(200);
+
+    const next = await request(['GET /all.json HTTP/1.1', 'Host: localhost', 'Connection: close']);
+    expect(statusOf(next)).toBe(200);
+  });
+
+  test('answers malformed paths with 400', async () => {
+    const encoding = await request(['GET /%E0%A4%A HTTP/1.1', 'Host: localhost', 'Connection: close']);
+    expect(statusOf(encoding)).toBe(400);
+
+    const target = await request(['GET //a%20b:x/ HTTP/1.1', 'Host: localhost', 'Connection: close']);
+    expect(statusOf(target)).toBe(400);
+  });
+});
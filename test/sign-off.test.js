@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PRMergeProcessor } = require('../scripts/process-pr-merge');
+const { loadScoringConfig } = require('../scripts/scoring-config');
+const signOff = require('../scripts/sign-off');
+
+const ENTITY_FILE = path.join(__dirname, '..', 'entity-scores', 'adminer.json');
+
+const config = {
+  ...loadScoringConfig(),
+  signOff: {
+    reviewers: {
+      alice: { name: 'Alice Smith', role: 'sre', areas: ['Operations'] },
+      bob: { name: 'Bob Jones', role: 'architecture' }
+    },
+    quorum: {
+      default: { approvals: 0 },
+      Operations: { approvals: 1, roles: ['sre'] }
+    }
+  }
+};
+
+function approval(login, submittedAt = '2026-01-01T00:00:00Z') {
+  return { user: { login }, state: 'APPROVED', submitted_at: submittedAt };
+}
+
+describe('checkQuorum', () => {
+  test('counts reviewers with a matching role and area', () => {
+    const records = signOff.getApprovals([approval('alice'), approval('bob')])
+      .map(record => signOff.getReviewerRecord(record, config));
+
+    const result = signOff.checkQuorum(['Operations', 'Security'], records, config);
+
+    expect(result.met).toBe(true);
+    expect(result.areas).toEqual([
+      { area: 'Operations', approvals: 1, roles: ['sre'], approvedBy: ['alice'], missing: 0 }
+    ]);
+  });
+
+  test('a later request for changes replaces an approval', () => {
+    const reviews = [
+      approval('alice'),
+      { user: { login: 'alice' }, state: 'CHANGES_REQUESTED', submitted_at: '2026-01-02T00:00:00Z' }
+    ];
+    const records = signOff.getApprovals(reviews).map(record => signOff.getReviewerRecord(record, config));
+
+    expect(signOff.checkQuorum(['Operations'], records, config).met).toBe(false);
+  });
+});
+
+describe('PRMergeProcessor.checkPullRequestSignOff', () => {
+  let repoDir;
+  let previousDir;
+  let baseSha;
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoDir,
+    encoding: 'utf8'
+  });
+
+  const writeReviews = reviews => {
+    const file = path.join(repoDir, 'pr-reviews.json');
+    fs.writeFileSync(file, JSON.stringify(reviews), 'utf8');
+    return file;
+  };
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorecard-sign-off-'));
+    fs.mkdirSync(path.join(repoDir, 'entity-scores'));
+    fs.copyFileSync(ENTITY_FILE, path.join(repoDir, 'entity-scores', 'adminer.json'));
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Base');
+    baseSha = git('rev-parse', 'HEAD').trim();
+
+    // The PR edits the Operations area only
+    const file = path.join(repoDir, 'entity-scores', 'adminer.json');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const operations = data.areaScores.find(area => area.title === 'Operations');
+    operations.scoreEntries[0].details = 'Runbooks reviewed with the on-call team';
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    git('commit', '-q', '-am', 'Update Operations');
+
+    previousDir = process.cwd();
+    process.chdir(repoDir);
+    delete process.env.GITHUB_EVENT_PATH;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(previousDir);
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test('fails before merge when a changed area lacks its approvals', async () => {
+    const processor = new PRMergeProcessor({ config, baseSha, reviewsFile: writeReviews([approval('bob')]) });
+
+    const result = await processor.checkPullRequestSignOff();
+
+    expect(result.success).toBe(false);
+    expect(result.quorum.areas).toEqual([
+      { area: 'Operations', approvals: 1, roles: ['sre'], approvedBy: [], missing: 1 }
+    ]);
+    expect(processor.generatePRComment(result)).toContain('## ❌ Sign-off Missing');
+  });
+
+  test('passes once the quorum is met and writes nothing', async () => {
+    const processor = new PRMergeProcessor({ config, baseSha, reviewsFile: writeReviews([approval('alice')]) });
+
+    const result = await processor.checkPullRequestSignOff();
+
+    expect(result.success).toBe(true);
+    expect(result.reviewers.map(reviewer => reviewer.login)).toEqual(['alice']);
+    expect(fs.existsSync(path.join(repoDir, 'all.json'))).toBe(false);
+    expect(git('status', '--porcelain', '--', 'entity-scores')).toBe('');
+  });
+});
@@ -0,0 +1,77 @@
+const { applyExpiryPenalty, getReviewStatus } = require('../scripts/stale-assessments');
+const { mergeScoringConfig } = require('../scripts/scoring-config');
+
+const config = mergeScoringConfig({ reviewExpiry: { months: { default: 6, api: 1 }, dueSoonDays: 30 } });
+
+const entity = (scoringReviewDate, kind = 'component') => ({ entityRef: { kind, name: 'adminer' }, scoringReviewDate });
+
+describe('getReviewStatus', () => {
+  test.each([
+    ['2026-01-15T10:00:00.000Z', '2026-07-15'],
+    ['2026-08-31T00:00:00.000Z', '2027-03-03'],
+    ['2027-08-31T00:00:00.000Z', '2028-03-02'],
+    ['2026-12-31T00:00:00.000Z', '2027-07-01']
+  ])('rolls a review on %s over to %s', (reviewDate, dueDate) => {
+    expect(getReviewStatus(entity(reviewDate), config, '2026-01-01').dueDate).toBe(dueDate);
+  });
+
+  test('uses the review period of the entity kind', () => {
+    expect(getReviewStatus(entity('2026-01-31T00:00:00.000Z', 'API'), config, '2026-01-31')).toMatchObject({
+      reviewDate: '2026-01-31',
+      dueDate: '2026-03-03',
+      daysLeft: 31,
+      status: 'current'
+    });
+  });
+
+  test.each([
+    ['2026-06-14', 'current', 31],
+    ['2026-06-15', 'due-soon', 30],
+    ['2026-07-15', 'due-soon', 0],
+    ['2026-07-16', 'expired', -1]
+  ])('on %s the review is %s', (today, status, daysLeft) => {
+    expect(getReviewStatus(entity('2026-01-15T00:00:00.000Z'), config, today)).toMatchObject({ status, daysLeft });
+  });
+
+  test('falls back to generatedDateTimeUtc for files that were never reviewed', () => {
+    const data = { entityRef: { kind: 'component' }, generatedDateTimeUtc: '2026-02-01T08:00:00.000Z' };
+
+    expect(getReviewStatus(data, config, '2026-03-01')).toMatchObject({ reviewDate: '2026-02-01', dueDate: '2026-08-01' });
+  });
+
+  test.each([undefined, 'not a date'])('treats a review date of %p as expired', reviewDate => {
+    expect(getReviewStatus(entity(reviewDate), config, '2026-03-01')).toMatchObject({ status: 'expired', dueDate: null, daysLeft: null });
+  });
+});
+
+describe('applyExpiryPenalty', () => {
+  const expired = { status: 'expired', daysLeft: -31 };
+  const penalty = reviewExpiry => mergeScoringConfig({ reviewExpiry });
+
+  test('leaves the score of a current or due-soon review alone', () => {
+    expect(applyExpiryPenalty(90, { status: 'current', daysLeft: 100 }, penalty({ penalty: 'cap' }))).toBe(90);
+    expect(applyExpiryPenalty(90, { status: 'due-soon', daysLeft: 0 }, penalty({ penalty: 'decay' }))).toBe(90);
+  });
+
+  test('leaves expired scores alone without a penalty', () => {
+    expect(applyExpiryPenalty(90, expired, penalty({ penalty: 'none' }))).toBe(90);
+  });
+
+  test('caps expired scores', () => {
+    expect(applyExpiryPenalty(90, expired, penalty({ penalty: 'cap', cap: 50 }))).toBe(50);
+    expect(applyExpiryPenalty(40, expired, penalty({ penalty: 'cap', cap: 50 }))).toBe(40);
+  });
+
+  test.each([
+    [-1, 80],
+    [-30, 80],
+    [-31, 70],
+    [-300, 0]
+  ])('decays a score %p days past due to %p', (daysLeft, score) => {
+    expect(applyExpiryPenalty(90, { status: 'expired', daysLeft }, penalty({ penalty: 'decay', decayPointsPerMonth: 10 }))).toBe(score);
+  });
+
+  test('takes everything from a file without a usable review date', () => {
+    expect(applyExpiryPenalty(90, { status: 'expired', daysLeft: null }, penalty({ penalty: 'decay' }))).toBe(0);
+  });
+});